@@ -0,0 +1,29 @@
+#!/usr/bin/env node
+// One-off migration of an existing output directory to another directory layout.
+//
+//   node bin/migrate-layout.js <output directory> <none|date|year-month-day> [--dry-run]
+//
+// Stop the plugin (or the SignalK server) first, then set the plugin's Directory
+// Layout to the same value before starting it again.
+
+const { migrateLayout } = require('../layout-migration');
+const { LAYOUTS } = require('../partition-layout');
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const [outputDirectory, layout] = args.filter(arg => !arg.startsWith('--'));
+
+if (!outputDirectory || !LAYOUTS.includes(layout)) {
+  console.error(`Usage: migrate-layout <output directory> <${LAYOUTS.join('|')}> [--dry-run]`);
+  process.exit(1);
+}
+
+migrateLayout(outputDirectory, layout, { dryRun, log: message => console.log(message) })
+  .then(result => {
+    console.log(`${dryRun ? 'Would move' : 'Moved'} ${result.moved} files to the ${result.layout} layout (${result.unchanged} already in place, ${result.errors.length} errors)`);
+    process.exit(result.errors.length > 0 ? 1 : 0);
+  })
+  .catch(error => {
+    console.error(error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,167 @@
+const fs = require('fs-extra');
+const path = require('path');
+const ParquetWriter = require('./parquet-writer');
+const { getPartitionSegments, stripPartitionDirs, findSourcePartition } = require('./partition-layout');
+
+const FAILED_SUFFIX = '_FAILED.json';
+
+// Record time in milliseconds, or null when the record has no usable timestamp
+function getRecordTime(record) {
+  const time = new Date(record.received_timestamp || record.signalk_timestamp).getTime();
+  return isNaN(time) ? null : time;
+}
+
+// Converts the JSON files writeParquet leaves in failed/ when a Parquet write fails
+// back into typed Parquet files. Records go to the path directory the failed file
+// came from (keeping its source partition), split by UTC day (and into that day's
+// partition in a partitioned layout), so daily consolidation picks them up. A
+// failed file is deleted once all of its records are written.
+class FailedFileRecovery {
+  constructor(options = {}) {
+    this.app = options.app; // SignalK app instance for logging
+    this.parquetWriter = options.parquetWriter; // ParquetWriter used for typed writes
+  }
+
+  async findFailedFiles(outputDir) {
+    const failedFiles = [];
+    if (!(await fs.pathExists(outputDir))) return failedFiles;
+
+    const walkDir = async (dir) => {
+      for (const item of await fs.readdir(dir)) {
+        const itemPath = path.join(dir, item);
+        const stat = await fs.stat(itemPath);
+
+        if (stat.isDirectory()) {
+          if (!item.startsWith('.')) {
+            await walkDir(itemPath);
+          }
+        } else if (path.basename(dir) === 'failed' && item.endsWith(FAILED_SUFFIX)) {
+          failedFiles.push(itemPath);
+        }
+      }
+    };
+
+    await walkDir(outputDir);
+    return failedFiles.sort();
+  }
+
+  // Group a failed file's records by the file they will be written to
+  async planFile(failedFile, records, config) {
+    const failedFromDir = path.dirname(path.dirname(failedFile));
+    const pathDir = stripPartitionDirs(failedFromDir);
+    const sourcePartition = findSourcePartition(failedFromDir);
+    const fallbackTime = (await fs.stat(failedFile)).mtime.getTime();
+    const byDay = new Map();
+
+    records.forEach(record => {
+      const time = getRecordTime(record) ?? fallbackTime;
+      const day = new Date(time).toISOString().split('T')[0];
+      if (!byDay.has(day)) {
+        byDay.set(day, { day, firstTime: time, records: [] });
+      }
+      const group = byDay.get(day);
+      group.firstTime = Math.min(group.firstTime, time);
+      group.records.push(record);
+    });
+
+    const targets = [];
+    for (const group of byDay.values()) {
+      const targetDir = path.join(pathDir, ...(sourcePartition ? [sourcePartition] : []), ...getPartitionSegments(config.partitionLayout, group.firstTime));
+      const stamp = new Date(group.firstTime).toISOString().replace(/[:.]/g, '').slice(0, 15);
+
+      let filename = `${config.filenamePrefix}_${stamp}_recovered.parquet`;
+      for (let n = 1; await fs.pathExists(path.join(targetDir, filename)); n++) {
+        filename = `${config.filenamePrefix}_${stamp}_recovered_${n}.parquet`;
+      }
+
+      targets.push({
+        file: path.join(targetDir, filename),
+        day: group.day,
+        records: group.records,
+        // A day that is already consolidated needs consolidating again to include these records
+        alreadyConsolidated: await fs.pathExists(path.join(targetDir, `${config.filenamePrefix}_${group.day}_consolidated.parquet`))
+      });
+    }
+    return targets;
+  }
+
+  async run(config, options = {}) {
+    const dryRun = Boolean(options.dryRun);
+    const failedFiles = await this.findFailedFiles(config.outputDirectory);
+    const files = [];
+    const errors = [];
+    let recovered = 0;
+    let recordCount = 0;
+
+    for (const failedFile of failedFiles) {
+      let records;
+      try {
+        const content = await fs.readJson(failedFile);
+        records = (Array.isArray(content) ? content : [content]).filter(record => record && typeof record === 'object');
+      } catch (error) {
+        errors.push({ file: failedFile, error: `Unreadable: ${error.message}` });
+        continue;
+      }
+
+      if (records.length === 0) {
+        if (!dryRun) {
+          await fs.remove(failedFile);
+        }
+        continue;
+      }
+
+      const targets = await this.planFile(failedFile, records, config);
+      recordCount += records.length;
+      files.push({
+        file: failedFile,
+        recordCount: records.length,
+        targets: targets.map(target => ({
+          file: target.file,
+          day: target.day,
+          recordCount: target.records.length,
+          alreadyConsolidated: target.alreadyConsolidated
+        }))
+      });
+
+      if (dryRun) continue;
+
+      if (!ParquetWriter.isAvailable()) {
+        errors.push({ file: failedFile, error: 'Parquet writing is not available' });
+        continue;
+      }
+
+      const remaining = [];
+      for (const target of targets) {
+        try {
+          target.records.sort((a, b) => (getRecordTime(a) || 0) - (getRecordTime(b) || 0));
+          await fs.ensureDir(path.dirname(target.file));
+          await this.parquetWriter.writeParquetFile(target.file, target.records);
+        } catch (error) {
+          await fs.remove(target.file);
+          remaining.push(...target.records);
+          errors.push({ file: failedFile, target: target.file, error: error.message });
+        }
+      }
+
+      // Keep the records that still failed, so a later run doesn't write the others twice
+      if (remaining.length === 0) {
+        await fs.remove(failedFile);
+        recovered++;
+        this.app && this.app.debug(`🩹 Recovered ${records.length} records from ${failedFile}`);
+      } else if (remaining.length < records.length) {
+        await fs.writeJson(failedFile, remaining, { spaces: 2 });
+      }
+    }
+
+    return {
+      dryRun,
+      fileCount: failedFiles.length,
+      recordCount,
+      recovered,
+      errors,
+      files
+    };
+  }
+}
+
+module.exports = FailedFileRecovery;
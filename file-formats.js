@@ -0,0 +1,48 @@
+const path = require('path');
+
+// Output formats and their file extensions. The plugin-wide File Format applies to
+// every path; a path config's `format` overrides it for that path.
+//
+//   parquet   typed columns, compressed; the default for telemetry
+//   ndjson    one JSON record per line, appended as saves come in
+//   arrow     Arrow IPC file (Feather v2) with typed columns
+//   json      one JSON array per file
+//   csv       text with a header row
+const FILE_EXTENSIONS = {
+  parquet: '.parquet',
+  ndjson: '.ndjson',
+  arrow: '.arrow',
+  json: '.json',
+  csv: '.csv'
+};
+
+const FORMATS = Object.keys(FILE_EXTENSIONS);
+const DATA_FILE_EXTENSIONS = Object.values(FILE_EXTENSIONS);
+
+function isFormat(format) {
+  return FORMATS.includes(format);
+}
+
+function getFileExtension(format) {
+  return FILE_EXTENSIONS[format] || FILE_EXTENSIONS.json;
+}
+
+// Format of a data file from its extension, or null for other files
+function getFileFormat(filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+  return FORMATS.find(format => FILE_EXTENSIONS[format] === extension) || null;
+}
+
+// Format a path is written in: its own `format`, else the plugin-wide one
+function getPathFormat(pathConfig, defaultFormat) {
+  return pathConfig && isFormat(pathConfig.format) ? pathConfig.format : defaultFormat;
+}
+
+module.exports = {
+  FORMATS,
+  DATA_FILE_EXTENSIONS,
+  isFormat,
+  getFileExtension,
+  getFileFormat,
+  getPathFormat
+};
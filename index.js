@@ -1,6 +1,24 @@
 const fs = require('fs-extra');
 const path = require('path');
 const ParquetWriter = require('./parquet-writer');
+const RetentionManager = require('./retention-manager');
+const StorageGuard = require('./storage-guard');
+const FailedFileRecovery = require('./failed-recovery');
+const RegimenRuleEngine = require('./regimen-rules');
+const WriteAheadLog = require('./write-ahead-log');
+const RollingParquetWriter = require('./rolling-writer');
+const TargetRegistry = require('./target-registry');
+const QuerySources = require('./query-sources');
+const QuerySandbox = require('./query-sandbox');
+const { QueryCatalog } = require('./query-catalog');
+const { AGGREGATES, MAX_ROWS, parseBucket, parseTime, filesInRange, getValueColumns, buildDataQuery, toCsv } = require('./resample-query');
+const { META_FILE, pickMeta, PathMetadata } = require('./path-metadata');
+const { isPattern, matchesPath, findPathConfig } = require('./path-pattern');
+const { LAYOUTS, getPartitionSegments, getSourcePartition, isPartitionDir, listPathFiles, getPathGlob } = require('./partition-layout');
+const { parseRegimenExpression, evaluateRegimenExpression, getRegimenNames, usesTimeWindow } = require('./regimen-expression');
+const { DEFAULT_FLATTEN_DEPTH, flattenValue } = require('./value-flattening');
+const { hasSourceFilter, matchesSourceFilter, validateSourceFilter, getSourceRef, SourcePriorities } = require('./source-selection');
+const { FORMATS, DATA_FILE_EXTENSIONS, isFormat, getFileExtension, getFileFormat, getPathFormat } = require('./file-formats');
 
 // AWS S3 for file upload
 let S3Client, PutObjectCommand;
@@ -21,15 +39,62 @@ try {
   console.warn('DuckDB not available for webapp queries');
 }
 
+// Content types of uploaded text files; Parquet and Arrow are binary
+const UPLOAD_CONTENT_TYPES = {
+  json: 'application/json',
+  ndjson: 'application/x-ndjson',
+  csv: 'text/csv'
+};
+
+// Convert a DuckDB result value into something JSON can serialize
+function toJsonValue(value) {
+  if (typeof value === 'bigint') {
+    return Number(value);
+  }
+  if (value && typeof value === 'object' && typeof value.micros === 'bigint') {
+    // TIMESTAMP columns (typed Parquet timestamps) come back as DuckDBTimestampValue
+    return new Date(Number(value.micros / 1000n)).toISOString();
+  }
+  if (value && typeof value === 'object' && value.constructor !== Object && !Array.isArray(value)) {
+    return value.toString();
+  }
+  return value;
+}
+
 module.exports = function(app) {
   let plugin = {};
-  let unsubscribes = [];
+  let commandSubscription = null; // { key, paths, unsubscribes } for the command paths
+  let dataSubscriptions = new Map(); // One subscription per data path config, by subscription key
   let dataBuffers = new Map(); // Store buffers by SignalK path
   let activeRegimens = new Set(); // Track active regimen states
   let subscribedPaths = new Set(); // Track currently subscribed SignalK paths
+  let resolvedPaths = new Map(); // Concrete SignalK paths seen for wildcard path configs
+  let lastRecordedValues = new Map(); // Last recorded value by buffer key, for deadband/change-only paths
+  let regimenExpressions = new Map(); // Parsed regimen expressions by expression text
+  let timeWindowInterval;
+  let lookbackBuffers = new Map(); // Pre-trigger ring buffers by buffer key, for paths of regimens with a lookback
+  let timeWindowSelection = ''; // Data paths selected at the last time-window check
   let saveInterval;
   let consolidationInterval;
+  let consolidationChain = Promise.resolve(); // Tail of the queued consolidation runs
+  let retentionInterval;
   let parquetWriter;
+  let retentionManager;
+  let storageGuard; // Free space and quota checks that pause, purge or refuse when limits are hit
+  let storageInterval;
+  let failedFileRecovery;
+  let targetRegistry;
+  let regimenRuleEngine;
+  let sourcePriorities; // The server's source priorities, for paths that mark the preferred source
+  let pathMetadata; // Units, descriptions, display names and zones of the recorded paths
+  let writeAheadLog;
+  let rollingWriter; // Long-lived Parquet files, one per path directory and time window
+  let querySources; // Table expressions DuckDB reads the data files of every format through
+  let queryCatalog; // The query endpoints' DuckDB database, with a view per recorded path
+  let pendingWrites = new Set(); // File writes in progress, awaited before committing the journal and on shutdown
+  let claimedFiles = new Set(); // Files chosen by saves still writing them, so concurrent saves pick other names
+  let stopping = null; // The last stop's flush, which a restart waits for
+  let pendingStart = null; // A start waiting for that flush
   let s3Client;
   let currentConfig; // Store current configuration
 
@@ -38,6 +103,20 @@ module.exports = function(app) {
   plugin.description = 'Save SignalK marine data directly to Parquet files with regimen-based control';
 
   plugin.start = function(options) {
+    // The last run may still be writing its files and journal segments, which this
+    // run would otherwise delete as incomplete, replay or reuse
+    if (stopping) {
+      app.debug('Waiting for the last run to stop...');
+      const request = stopping.then(() => {
+        if (pendingStart === request) {
+          pendingStart = null;
+          plugin.start(options);
+        }
+      });
+      pendingStart = request;
+      return request;
+    }
+
     app.debug('Starting...');
 
     // Get vessel MMSI from SignalK
@@ -52,14 +131,32 @@ module.exports = function(app) {
       outputDirectory: options?.outputDirectory || defaultOutputDir,
       filenamePrefix: options?.filenamePrefix || 'signalk_data',
       retentionDays: options?.retentionDays || 7,
-      fileFormat: options?.fileFormat || 'parquet', // 'json', 'csv', or 'parquet'
+      retention: options?.retention || {},
+      storage: options?.storage || {},
+      queryLimits: options?.queryLimits || {}, // Timeout, memory and row limits of /api/query
+      queryDatabaseDirectory: options?.queryDatabaseDirectory || path.join(app.getDataDirPath(), 'zennora-signalk-parquet-duckdb'), // Query views and spill files
+      fileFormat: options?.fileFormat || 'parquet', // Default format for paths without their own (see file-formats.js)
+      fileRotationMinutes: options?.fileRotationMinutes ?? 60, // 0 = one file per buffer flush
+      maxOpenFiles: options?.maxOpenFiles || 100, // Rolling files open at once; the least recently written closes first
+      partitionLayout: options?.partitionLayout || 'none', // 'none', 'date' or 'year-month-day'
+      parquetOptions: options?.parquetOptions || {},
+      flattenDepth: options?.flattenDepth ?? DEFAULT_FLATTEN_DEPTH, // Levels of object values spread over value_* columns
+      duplicates: options?.duplicates || 'first', // Copy of repeated records kept by consolidation: 'first', 'last' or 'all'
+      consolidationLimits: options?.consolidationLimits || {}, // Memory and threads of streaming consolidation
       vesselMMSI: vesselMMSI,
       paths: options?.paths || [],
+      regimenRules: options?.regimenRules || [],
       s3Upload: options?.s3Upload || { enabled: false }
     };
 
     // Initialize ParquetWriter
-    parquetWriter = new ParquetWriter({ format: currentConfig.fileFormat, app: app });
+    pathMetadata = new PathMetadata({ app: app });
+    parquetWriter = new ParquetWriter({ format: currentConfig.fileFormat, app: app, parquetOptions: currentConfig.parquetOptions, pathMetadata: pathMetadata });
+    retentionManager = new RetentionManager({ app: app });
+    storageGuard = new StorageGuard({ app: app, retentionManager: retentionManager });
+    failedFileRecovery = new FailedFileRecovery({ app: app, parquetWriter: parquetWriter });
+    targetRegistry = new TargetRegistry({ app: app, outputDirectory: currentConfig.outputDirectory });
+    sourcePriorities = new SourcePriorities({ app: app });
 
     // Initialize S3 client if enabled
     if (currentConfig.s3Upload.enabled && S3Client) {
@@ -87,6 +184,56 @@ module.exports = function(app) {
     // Ensure output directory exists
     fs.ensureDirSync(currentConfig.outputDirectory);
 
+    // Load the registry of AIS targets seen through wildcard contexts. Targets seen
+    // meanwhile are merged into it, and saves wait for it to finish.
+    targetRegistry.load();
+
+    // Append Parquet flushes to one file per path and time window. Files a crash left
+    // open are unreadable; their records are still journaled and get replayed below,
+    // once the files are removed. Appends wait for that as well.
+    rollingWriter = null; // The last run's writer may still be closing
+    let incompleteRemoved = Promise.resolve();
+    if (writesParquet(currentConfig) && currentConfig.fileRotationMinutes > 0 && RollingParquetWriter.isAvailable()) {
+      incompleteRemoved = RollingParquetWriter.removeIncompleteFiles(currentConfig.outputDirectory, [retentionManager.getSettings(currentConfig).archiveDirectory])
+        .then(removed => {
+          if (removed > 0) {
+            app.debug(`🧹 Removed ${removed} incomplete files left open by the last run`);
+          }
+        })
+        .catch(error => {
+          app.debug('Error removing incomplete files:', error);
+        });
+      rollingWriter = new RollingParquetWriter({
+        app: app,
+        parquetWriter: parquetWriter,
+        windowMinutes: currentConfig.fileRotationMinutes,
+        maxOpenFiles: currentConfig.maxOpenFiles,
+        ready: incompleteRemoved,
+        onFileClosed: (filePath) => {
+          if (currentConfig.s3Upload.enabled && currentConfig.s3Upload.timing === 'realtime') {
+            uploadToS3(filePath, currentConfig);
+          }
+        }
+      });
+    }
+
+    // Check free space and quotas now and then every minute
+    checkStorage(currentConfig);
+    storageInterval = setInterval(() => {
+      checkStorage(currentConfig);
+    }, 60 * 1000);
+
+    // Open the write-ahead log and write out whatever the last run left in its buffers
+    writeAheadLog = new WriteAheadLog({ app: app, directory: path.join(currentConfig.outputDirectory, '.wal') });
+    const journaled = writeAheadLog.open();
+    const replayed = incompleteRemoved.then(() => replayWriteAheadLog(journaled, currentConfig));
+
+    // Then catch up on days the nightly consolidation missed. This also converts
+    // records left in failed/ by earlier Parquet write errors.
+    replayed.then(() => consolidatePastDays(currentConfig)).catch(error => {
+      app.debug('Error during startup consolidation:', error);
+    });
+
     // Subscribe to command paths first (these control regimens)
     subscribeToCommandPaths(currentConfig);
 
@@ -96,9 +243,14 @@ module.exports = function(app) {
     // Subscribe to data paths based on initial regimen states
     updateDataSubscriptions(currentConfig);
 
+    // Start data-driven regimen rules (they publish commands.* values back into SignalK)
+    regimenRuleEngine = new RegimenRuleEngine({ app: app, pluginId: plugin.id });
+    regimenRuleEngine.start(currentConfig.regimenRules);
+
     // Set up periodic save
     saveInterval = setInterval(() => {
       saveAllBuffers(currentConfig);
+      targetRegistry.save();
     }, currentConfig.saveIntervalSeconds * 1000);
 
     // Set up daily consolidation (run at midnight UTC)
@@ -108,21 +260,38 @@ module.exports = function(app) {
     
     app.debug(`Next consolidation at ${nextMidnightUTC.toISOString()} (in ${Math.round(msUntilMidnightUTC / 1000 / 60)} minutes)`);
     
+    const runDailyConsolidation = () => {
+      consolidatePastDays(currentConfig).catch(error => {
+        app.debug('Error during daily consolidation:', error);
+      });
+    };
     setTimeout(() => {
-      consolidateYesterday(currentConfig);
+      runDailyConsolidation();
       
       // Then run daily consolidation every 24 hours
-      consolidationInterval = setInterval(() => {
-        consolidateYesterday(currentConfig);
-      }, 24 * 60 * 60 * 1000);
+      consolidationInterval = setInterval(runDailyConsolidation, 24 * 60 * 60 * 1000);
     }, msUntilMidnightUTC);
 
+    // Apply retention now and then once a day
+    if (currentConfig.retention.enabled !== false) {
+      applyRetention(currentConfig);
+      retentionInterval = setInterval(() => {
+        applyRetention(currentConfig);
+      }, 24 * 60 * 60 * 1000);
+    }
+
+    // Re-evaluate regimen time windows every minute
+    checkTimeWindows(currentConfig);
+    timeWindowInterval = setInterval(() => {
+      checkTimeWindows(currentConfig);
+    }, 60 * 1000);
 
     app.debug('Started');
   };
 
   plugin.stop = function() {
     app.debug('Stopping...');
+    pendingStart = null; // A start still waiting for the last stop no longer runs
     
     // Clear intervals
     if (saveInterval) {
@@ -131,33 +300,107 @@ module.exports = function(app) {
     if (consolidationInterval) {
       clearInterval(consolidationInterval);
     }
+    if (retentionInterval) {
+      clearInterval(retentionInterval);
+    }
+    if (storageInterval) {
+      clearInterval(storageInterval);
+    }
+    if (storageGuard) {
+      storageGuard.clearStatus();
+    }
+    if (timeWindowInterval) {
+      clearInterval(timeWindowInterval);
+    }
+    if (regimenRuleEngine) {
+      regimenRuleEngine.stop();
+    }
+    if (queryCatalog) {
+      queryCatalog.close();
+      queryCatalog = null;
+    }
 
-    // Save any remaining buffered data
-    saveAllBuffers();
+    // Save any remaining buffered data and the target registry; the server awaits the returned promise
+    const flushed = Promise.all([
+      currentConfig ? saveAllBuffers(currentConfig) : Promise.resolve(),
+      targetRegistry ? targetRegistry.save() : Promise.resolve()
+    ]);
 
     // Unsubscribe from all paths
-    unsubscribes.forEach(unsubscribe => {
-      if (typeof unsubscribe === 'function') {
-        unsubscribe();
-      }
-    });
-    unsubscribes = [];
+    if (commandSubscription) {
+      callUnsubscribes(commandSubscription.unsubscribes);
+      commandSubscription = null;
+    }
+    dataSubscriptions.forEach(subscription => callUnsubscribes(subscription.unsubscribes));
+    dataSubscriptions.clear();
     
     // Clear data structures
     dataBuffers.clear();
     activeRegimens.clear();
     subscribedPaths.clear();
+    resolvedPaths.clear();
+    lastRecordedValues.clear();
+    regimenExpressions.clear();
+    lookbackBuffers.clear();
+    timeWindowSelection = '';
+
+    // Close the open files once the last flush is in them; their records can then leave the journal.
+    // start() waits for this before opening its own writer and journal.
+    const wal = writeAheadLog;
+    const writer = rollingWriter;
+    const stopped = flushed
+      .then(() => writer ? writer.closeAll() : false)
+      .then(allClosed => {
+        if (wal) {
+          if (allClosed) {
+            wal.commit(wal.segment);
+          }
+          wal.close();
+        }
+        if (writeAheadLog === wal) {
+          writeAheadLog = null;
+        }
+        if (rollingWriter === writer) {
+          rollingWriter = null;
+        }
+        app.debug('Stopped');
+      });
+    const settled = stopped.catch(error => {
+      app.debug('Error while stopping:', error);
+    }).then(() => {
+      if (stopping === settled) {
+        stopping = null;
+      }
+    });
+    stopping = settled;
+    return stopped;
   };
 
-  // Subscribe to command paths that control regimens using proper subscription manager
+  // Subscribe to command paths that control regimens using proper subscription manager.
+  // The subscription is only replaced when the set of command paths changes, so
+  // regimen changes and data path edits never interrupt command delivery.
   function subscribeToCommandPaths(config) {
-    const commandPaths = config.paths.filter(pathConfig => 
-      pathConfig && pathConfig.path && pathConfig.path.startsWith('commands.') && pathConfig.enabled
-    );
+    const commandPaths = getCommandPathConfigs(config);
+    const key = commandPaths.map(pathConfig => pathConfig.path).sort().join(',');
+
+    if (commandSubscription && commandSubscription.key === key) {
+      // Same paths - just pick up edited settings such as source filters
+      commandSubscription.paths = commandPaths;
+      return;
+    }
+
+    if (commandSubscription) {
+      app.debug('Command paths changed - replacing command subscription');
+      callUnsubscribes(commandSubscription.unsubscribes);
+      commandSubscription = null;
+    }
 
     if (commandPaths.length === 0) return;
 
-    const commandSubscription = {
+    const subscription = { key: key, paths: commandPaths, unsubscribes: [] };
+    commandSubscription = subscription;
+
+    const subscribeMessage = {
       context: 'vessels.self',
       subscribe: commandPaths.map(pathConfig => ({
         path: pathConfig.path,
@@ -168,18 +411,21 @@ module.exports = function(app) {
     app.debug(`Subscribing to ${commandPaths.length} command paths via subscription manager`);
 
     app.subscriptionmanager.subscribe(
-      commandSubscription,
-      unsubscribes,
+      subscribeMessage,
+      subscription.unsubscribes,
       (subscriptionError) => {
         app.debug('Command subscription error:', subscriptionError);
       },
       (delta) => {
+        // Ignore deliveries that race with an unsubscribe
+        if (commandSubscription !== subscription) return;
+
         // Process each update in the delta
         if (delta.updates) {
           delta.updates.forEach((update) => {
             if (update.values) {
               update.values.forEach((valueUpdate) => {
-                const pathConfig = commandPaths.find(p => p.path === valueUpdate.path);
+                const pathConfig = subscription.paths.find(p => p.path === valueUpdate.path);
                 if (pathConfig) {
                   handleCommandMessage(valueUpdate, pathConfig, config, update);
                 }
@@ -190,9 +436,24 @@ module.exports = function(app) {
       }
     );
 
-    commandPaths.forEach(pathConfig => {
-      subscribedPaths.add(pathConfig.path);
+    updateSubscribedPaths();
+  }
+
+  // Enabled command path configurations, plus the command paths of regimens set by
+  // regimen rules so that rule-driven regimens work without a manual command entry
+  function getCommandPathConfigs(config) {
+    const commandPaths = config.paths.filter(pathConfig => 
+      pathConfig && pathConfig.path && pathConfig.path.startsWith('commands.') && pathConfig.enabled
+    );
+
+    (config.regimenRules || []).forEach(rule => {
+      const commandPath = rule && rule.regimen ? `commands.${rule.regimen}` : null;
+      if (commandPath && !commandPaths.find(p => p.path === commandPath)) {
+        commandPaths.push({ path: commandPath, enabled: true, name: `Regimen rule: ${rule.regimen}` });
+      }
     });
+
+    return commandPaths;
   }
 
   // Handle command messages (regimen control) - now receives complete delta structure
@@ -201,17 +462,16 @@ module.exports = function(app) {
       app.debug(`📦 Received command update for ${pathConfig.path}:`, JSON.stringify(valueUpdate, null, 2));
       
       // Check source filter if specified for commands too
-      if (pathConfig.source && pathConfig.source.trim() !== '') {
-        const messageSource = update.$source || (update.source ? update.source.label : null);
-        if (messageSource !== pathConfig.source.trim()) {
-          app.debug(`🚫 Command from source "${messageSource}" filtered out (expecting "${pathConfig.source.trim()}")`);
-          return;
-        }
+      const messageSource = getSourceRef(update);
+      if (!matchesSourceFilter(pathConfig.source, messageSource)) {
+        app.debug(`🚫 Command from source "${messageSource}" filtered out (expecting ${JSON.stringify(pathConfig.source)})`);
+        return;
       }
       
       if (valueUpdate.value !== undefined) {
         const commandName = extractCommandName(pathConfig.path);
         const isActive = Boolean(valueUpdate.value);
+        const wasActive = activeRegimens.has(commandName);
         
         app.debug(`Command ${commandName}: ${isActive ? 'ACTIVE' : 'INACTIVE'}`);
         
@@ -226,8 +486,16 @@ module.exports = function(app) {
         
         // Update data subscriptions based on new regimen state
         updateDataSubscriptions(config);
+
+        // Write out what the lookback ring buffers captured before the regimen turned on
+        if (isActive && !wasActive) {
+          flushLookbackBuffers(commandName, config);
+        }
         
-        // Buffer this command change with complete metadata
+        // Buffer this command change; its meta is kept once per path
+        if (valueUpdate.meta) {
+          pathMetadata.update('vessels.self', valueUpdate.path, valueUpdate.meta);
+        }
         const bufferKey = `${pathConfig.context || 'vessels.self'}:${pathConfig.path}`;
         bufferData(bufferKey, {
           received_timestamp: new Date().toISOString(),
@@ -239,8 +507,7 @@ module.exports = function(app) {
           source_label: update.$source || (update.source ? update.source.label : null),
           source_type: update.source ? update.source.type : null,
           source_pgn: update.source ? update.source.pgn : null,
-          source_src: update.source ? update.source.src : null,
-          meta: valueUpdate.meta ? JSON.stringify(valueUpdate.meta) : null
+          source_src: update.source ? update.source.src : null
         }, config);
       }
     } catch (error) {
@@ -248,83 +515,235 @@ module.exports = function(app) {
     }
   }
 
-  // Update data path subscriptions based on active regimens
+  // Update data path subscriptions based on active regimens. Only paths whose state
+  // changed are subscribed or unsubscribed; everything else keeps its subscription.
   function updateDataSubscriptions(config) {
-    // First, unsubscribe from all existing subscriptions
-    unsubscribes.forEach(unsubscribe => {
-      if (typeof unsubscribe === 'function') {
-        unsubscribe();
-      }
-    });
-    unsubscribes = [];
-    subscribedPaths.clear();
-
-    app.debug('Cleared all existing subscriptions');
-
-    // Re-subscribe to command paths
+    // Command paths only change with the configuration
     subscribeToCommandPaths(config);
 
-    // Now subscribe to data paths
     const dataPaths = config.paths.filter(pathConfig => 
       pathConfig && pathConfig.path && !pathConfig.path.startsWith('commands.')
     );
 
-    const shouldSubscribePaths = dataPaths.filter(pathConfig => shouldSubscribeToPath(pathConfig));
-    
-    if (shouldSubscribePaths.length === 0) {
-      app.debug('No data paths need subscription currently');
-      return;
-    }
+    // Work out the wanted subscriptions. Paths of inactive regimens with a lookback
+    // stay subscribed to feed their ring buffers.
+    const wanted = new Map();
+    dataPaths.forEach(pathConfig => {
+      const recording = shouldSubscribeToPath(pathConfig);
+      if (!recording && getLookbackMs(pathConfig, config) === 0) return;
 
-    // Group paths by context for separate subscriptions
-    const contextGroups = new Map();
-    shouldSubscribePaths.forEach(pathConfig => {
       const context = pathConfig.context || 'vessels.self';
-      if (!contextGroups.has(context)) {
-        contextGroups.set(context, []);
+      const subscribeEntry = buildSubscribeEntry(pathConfig);
+      wanted.set(getDataSubscriptionKey(context, subscribeEntry, pathConfig), {
+        context: context,
+        subscribeEntry: subscribeEntry,
+        pathConfig: pathConfig,
+        reason: recording ? 'recording' : 'lookback'
+      });
+    });
+
+    let removed = 0;
+    dataSubscriptions.forEach((subscription, key) => {
+      if (!wanted.has(key)) {
+        callUnsubscribes(subscription.unsubscribes);
+        dataSubscriptions.delete(key);
+        removed++;
       }
-      contextGroups.get(context).push(pathConfig);
     });
 
-    // Create subscriptions for each context group
-    contextGroups.forEach((pathConfigs, context) => {
-      const dataSubscription = {
-        context: context,
-        subscribe: pathConfigs.map(pathConfig => ({
-          path: pathConfig.path,
-          period: 1000  // Get updates every second max
-        }))
-      };
+    let added = 0;
+    wanted.forEach((want, key) => {
+      const existing = dataSubscriptions.get(key);
+      if (existing) {
+        // Keep the subscription, but use the current path config object
+        existing.pathConfig = want.pathConfig;
+        existing.reason = want.reason;
+      } else {
+        subscribeToDataPath(key, want, config);
+        added++;
+      }
+    });
 
-      app.debug(`Subscribing to ${pathConfigs.length} data paths for context ${context}`);
-
-      app.subscriptionmanager.subscribe(
-        dataSubscription,
-        unsubscribes,
-        (subscriptionError) => {
-          app.debug(`Data subscription error for ${context}:`, subscriptionError);
-        },
-        (delta) => {
-          // Process each update in the delta
-          if (delta.updates) {
-            delta.updates.forEach((update) => {
-              if (update.values) {
-                update.values.forEach((valueUpdate) => {
-                  const pathConfig = pathConfigs.find(p => p.path === valueUpdate.path);
-                  if (pathConfig) {
-                    handleDataMessage(valueUpdate, pathConfig, config, update, delta);
-                  }
-                });
-              }
-            });
-          }
+    updateSubscribedPaths();
+
+    if (added > 0 || removed > 0) {
+      app.debug(`🔄 Data subscriptions updated: +${added} -${removed}, ${dataSubscriptions.size} active`);
+    }
+  }
+
+  // Key of a data path config's subscription: its context, subscribe entry (period,
+  // policy) and every other setting of the config (source filter, regimen, format,
+  // ...), so two configs for the same path each keep their own subscription
+  function getDataSubscriptionKey(context, subscribeEntry, pathConfig) {
+    return `${context}|${JSON.stringify(subscribeEntry)}|${JSON.stringify(pathConfig)}`;
+  }
+
+  // Subscribe to a single data path config
+  function subscribeToDataPath(key, want, config) {
+    const subscription = {
+      ...want,
+      unsubscribes: [],
+      since: new Date().toISOString()
+    };
+    dataSubscriptions.set(key, subscription);
+
+    app.debug(`Subscribing to ${want.pathConfig.path} for context ${want.context}`);
+
+    app.subscriptionmanager.subscribe(
+      { context: want.context, subscribe: [want.subscribeEntry] },
+      subscription.unsubscribes,
+      (subscriptionError) => {
+        app.debug(`Data subscription error for ${want.context}:${want.pathConfig.path}:`, subscriptionError);
+      },
+      (delta) => {
+        // Ignore deliveries that race with an unsubscribe
+        if (dataSubscriptions.get(key) !== subscription) return;
+
+        // Process each update in the delta
+        if (delta.updates) {
+          delta.updates.forEach((update) => {
+            // Meta deltas carry units, descriptions and zones separately from values
+            if (Array.isArray(update.meta)) {
+              update.meta.forEach(metaUpdate => pathMetadata.update(delta.context || want.context, metaUpdate.path, metaUpdate.value));
+            }
+            if (update.values) {
+              update.values.forEach((valueUpdate) => {
+                // A path matched by an exact and a wildcard config is delivered to both
+                // subscriptions; only the configs findPathConfig picks handle it. Several
+                // configs with that same path (e.g. other sources or periods) each record.
+                const owner = findPathConfig(getSubscribedPathConfigs(subscription.context), valueUpdate.path);
+                if (owner && owner.path === subscription.pathConfig.path) {
+                  handleDataMessage(valueUpdate, subscription.pathConfig, config, update, delta);
+                }
+              });
+            }
+          });
         }
-      );
+      }
+    );
+  }
 
-      pathConfigs.forEach(pathConfig => {
-        subscribedPaths.add(pathConfig.path);
-      });
+  // Path configs with an active data subscription for a context
+  function getSubscribedPathConfigs(context) {
+    const pathConfigs = [];
+    dataSubscriptions.forEach(subscription => {
+      if (subscription.context === context) {
+        pathConfigs.push(subscription.pathConfig);
+      }
+    });
+    return pathConfigs;
+  }
+
+  // Rebuild the set of subscribed SignalK paths from the command and data subscriptions
+  function updateSubscribedPaths() {
+    subscribedPaths.clear();
+    if (commandSubscription) {
+      commandSubscription.paths.forEach(pathConfig => subscribedPaths.add(pathConfig.path));
+    }
+    dataSubscriptions.forEach(subscription => subscribedPaths.add(subscription.pathConfig.path));
+  }
+
+  function callUnsubscribes(unsubscribes) {
+    unsubscribes.forEach(unsubscribe => {
+      if (typeof unsubscribe === 'function') {
+        unsubscribe();
+      }
     });
+    unsubscribes.length = 0;
+  }
+
+  // Build the subscribe entry for a data path from its sampling settings. Without
+  // settings the server sends the value every second; with a minimum period it
+  // sends each change as it happens, but no more often than that.
+  function buildSubscribeEntry(pathConfig) {
+    const entry = {
+      path: pathConfig.path,
+      period: Number(pathConfig.period) > 0 ? Number(pathConfig.period) : 1000
+    };
+
+    if (Number(pathConfig.minPeriod) > 0) {
+      entry.policy = 'instant';
+      entry.minPeriod = Number(pathConfig.minPeriod);
+    }
+
+    return entry;
+  }
+
+  // Check a new value against the last recorded one for deadband and change-only paths
+  function passesRecordingFilter(bufferKey, value, pathConfig) {
+    const deadband = Number(pathConfig.deadband) > 0 ? Number(pathConfig.deadband) : 0;
+    if (!deadband && !pathConfig.changeOnly) {
+      return true;
+    }
+
+    if (!lastRecordedValues.has(bufferKey)) {
+      lastRecordedValues.set(bufferKey, value);
+      return true;
+    }
+
+    const lastValue = lastRecordedValues.get(bufferKey);
+    if (!hasValueChanged(lastValue, value, deadband)) {
+      return false;
+    }
+
+    lastRecordedValues.set(bufferKey, value);
+    return true;
+  }
+
+  // Numbers (including numeric fields of object values) only count as changed when they
+  // move by at least the deadband; anything else changes when it is no longer equal
+  function hasValueChanged(lastValue, value, deadband) {
+    if (typeof value === 'number' && typeof lastValue === 'number') {
+      return deadband ? Math.abs(value - lastValue) >= deadband : value !== lastValue;
+    }
+
+    if (value && lastValue && typeof value === 'object' && typeof lastValue === 'object' && !Array.isArray(value)) {
+      const keys = new Set([...Object.keys(value), ...Object.keys(lastValue)]);
+      return Array.from(keys).some(key => hasValueChanged(lastValue[key], value[key], deadband));
+    }
+
+    return JSON.stringify(value) !== JSON.stringify(lastValue);
+  }
+
+  // Validate a path configuration submitted through the API, returning an error message or null
+  function validatePathConfig(pathConfig) {
+    if (!pathConfig.path) {
+      return 'Path is required';
+    }
+
+    if (pathConfig.regimen && String(pathConfig.regimen).trim() !== '') {
+      try {
+        parseRegimenExpression(String(pathConfig.regimen));
+      } catch (error) {
+        return `Invalid regimen expression: ${error.message}`;
+      }
+    }
+
+    for (const field of ['period', 'minPeriod', 'deadband', 'lookbackMinutes', 'flattenDepth']) {
+      const value = pathConfig[field];
+      if (value !== undefined && value !== null && value !== '' && !(Number(value) >= 0)) {
+        return `${field} must be a non-negative number`;
+      }
+    }
+
+    const sourceError = validateSourceFilter(pathConfig.source);
+    if (sourceError) {
+      return sourceError;
+    }
+
+    if (pathConfig.duplicates && !['first', 'last', 'all'].includes(pathConfig.duplicates)) {
+      return 'duplicates must be first, last or all';
+    }
+
+    if (pathConfig.format && !isFormat(pathConfig.format)) {
+      return `format must be one of ${FORMATS.join(', ')}`;
+    }
+
+    if (pathConfig.priority && !['normal', 'low'].includes(pathConfig.priority)) {
+      return 'priority must be normal or low';
+    }
+
+    return null;
   }
 
   // Determine if we should subscribe to a path based on regimens
@@ -335,33 +754,151 @@ module.exports = function(app) {
       return true;
     }
 
-    // Check if any required regimens are active
+    // Check the regimen expression against the active regimens
     if (pathConfig.regimen) {
-      const requiredRegimens = pathConfig.regimen.split(',').map(r => r.trim());
-      const hasActiveRegimen = requiredRegimens.some(regimen => activeRegimens.has(regimen));
-      app.debug(`🔍 Path ${pathConfig.path} requires regimens [${requiredRegimens.join(', ')}], active: [${Array.from(activeRegimens).join(', ')}] → ${hasActiveRegimen ? 'SUBSCRIBE' : 'SKIP'}`);
-      return hasActiveRegimen;
+      const status = evaluatePathRegimen(pathConfig);
+      app.debug(`🔍 Path ${pathConfig.path} requires "${pathConfig.regimen}", active: [${Array.from(activeRegimens).join(', ')}] → ${status.recording ? 'SUBSCRIBE' : `SKIP (blocked by ${status.blockedBy})`}`);
+      return status.recording;
     }
 
     app.debug(`❌ Path ${pathConfig.path} has no regimen control and not enabled`);
     return false;
   }
 
+  // Parse a regimen expression once and reuse it
+  function getRegimenExpression(expression) {
+    if (!regimenExpressions.has(expression)) {
+      regimenExpressions.set(expression, parseRegimenExpression(expression));
+    }
+    return regimenExpressions.get(expression);
+  }
+
+  // Evaluate a path's regimen expression, reporting the clause that blocks recording
+  function evaluatePathRegimen(pathConfig) {
+    try {
+      const result = evaluateRegimenExpression(getRegimenExpression(pathConfig.regimen), activeRegimens);
+      return { recording: result.value, blockedBy: result.blockedBy };
+    } catch (error) {
+      return { recording: false, blockedBy: `invalid regimen expression: ${error.message}` };
+    }
+  }
+
+  // Lookback window for a data path: the longest lookbackMinutes of the regimens its
+  // regimen expression refers to (set on the regimen's commands.* path config)
+  function getLookbackMs(pathConfig, config) {
+    if (!pathConfig.regimen || pathConfig.enabled) return 0;
+
+    let regimenNames;
+    try {
+      regimenNames = getRegimenNames(getRegimenExpression(pathConfig.regimen));
+    } catch (error) {
+      return 0;
+    }
+
+    let lookbackMinutes = 0;
+    getCommandPathConfigs(config).forEach(commandConfig => {
+      if (Number(commandConfig.lookbackMinutes) > 0 && regimenNames.has(extractCommandName(commandConfig.path))) {
+        lookbackMinutes = Math.max(lookbackMinutes, Number(commandConfig.lookbackMinutes));
+      }
+    });
+    return lookbackMinutes * 60 * 1000;
+  }
+
+  // Keep a record in the path's ring buffer, dropping anything older than the lookback
+  // window. Its SignalK value is kept alongside for the deadband and change-only filter.
+  function addToLookbackBuffer(bufferKey, signalkPath, pathConfig, record, value, lookbackMs) {
+    if (!lookbackBuffers.has(bufferKey)) {
+      lookbackBuffers.set(bufferKey, { path: signalkPath, pathConfig: pathConfig, records: [], values: [] });
+    }
+
+    const entry = lookbackBuffers.get(bufferKey);
+    entry.pathConfig = pathConfig;
+    entry.records.push(record);
+    entry.values.push(value);
+
+    const cutoff = Date.now() - lookbackMs;
+    while (entry.records.length > 0 && new Date(entry.records[0].received_timestamp).getTime() < cutoff) {
+      entry.records.shift();
+      entry.values.shift();
+    }
+  }
+
+  // A regimen just turned on: write the ring buffers of the paths now recording because
+  // of it straight to files, so the minutes before the event land in the normal tree
+  function flushLookbackBuffers(regimen, config) {
+    lookbackBuffers.forEach((entry, bufferKey) => {
+      let regimenNames;
+      try {
+        regimenNames = getRegimenNames(getRegimenExpression(entry.pathConfig.regimen));
+      } catch (error) {
+        return;
+      }
+      if (!regimenNames.has(regimen) || !shouldSubscribeToPath(entry.pathConfig)) return;
+
+      lookbackBuffers.delete(bufferKey);
+      // The deadband and change-only filter applies as if the records had arrived live
+      const records = entry.records.filter((record, index) => passesRecordingFilter(bufferKey, entry.values[index], entry.pathConfig));
+      if (records.length > 0) {
+        app.debug(`⏪ Writing ${records.length} of ${entry.records.length} lookback records for ${bufferKey} (regimen ${regimen} activated)`);
+        trackWrite(saveBufferToParquet(entry.path, records, config, null));
+      }
+    });
+  }
+
+  // Regimens with time windows change without a command arriving, so re-check
+  // them every minute and resubscribe when the selection of data paths changes
+  function checkTimeWindows(config) {
+    const timedPaths = config.paths.filter(pathConfig => {
+      if (!pathConfig || !pathConfig.regimen || pathConfig.enabled) return false;
+      try {
+        return usesTimeWindow(getRegimenExpression(pathConfig.regimen));
+      } catch (error) {
+        return false;
+      }
+    });
+    if (timedPaths.length === 0) return;
+
+    const selection = timedPaths.map(pathConfig => `${pathConfig.path}=${evaluatePathRegimen(pathConfig).recording}`).join(',');
+    if (selection !== timeWindowSelection) {
+      if (timeWindowSelection !== '') {
+        app.debug('🕐 Regimen time window changed - updating subscriptions');
+        updateDataSubscriptions(config);
+      }
+      timeWindowSelection = selection;
+    }
+  }
+
+
   // Handle data messages from SignalK - now receives complete delta structure
   function handleDataMessage(valueUpdate, pathConfig, config, update, delta) {
     try {
-      // Check if we should still process this path
-      if (!shouldSubscribeToPath(pathConfig)) {
+      // Check if we should still process this path. Paths that aren't recording may
+      // still feed the lookback ring buffer of an inactive regimen.
+      const recording = shouldSubscribeToPath(pathConfig);
+      const lookbackMs = recording ? 0 : getLookbackMs(pathConfig, config);
+      if (!recording && lookbackMs === 0) {
+        return;
+      }
+
+      // Follow the server's choice between sources before filtering, so the sources
+      // left out still count when deciding which one is in use
+      const messageSource = getSourceRef(update);
+      const preferred = pathConfig.sourcePriorities
+        ? sourcePriorities.isPreferred(delta.context || pathConfig.context || 'vessels.self', valueUpdate.path, messageSource)
+        : null;
+
+      // Check source filter (a $source, a list or a /regex/) if specified
+      if (!matchesSourceFilter(pathConfig.source, messageSource)) {
+        // Source doesn't match filter, skip this message
         return;
       }
 
-      // Check source filter if specified
-      if (pathConfig.source && pathConfig.source.trim() !== '') {
-        const messageSource = update.$source || (update.source ? update.source.label : null);
-        if (messageSource !== pathConfig.source.trim()) {
-          // Source doesn't match filter, skip this message
+      // Wildcard contexts (vessels.*, atons.*, meteo.*) record every target they see
+      if (isPattern(pathConfig.context) && delta.context) {
+        if (delta.context === app.selfContext && !pathConfig.includeSelf) {
           return;
         }
+        targetRegistry.touch(delta.context, update.timestamp);
       }
 
       const record = {
@@ -372,31 +909,70 @@ module.exports = function(app) {
         value: null,
         value_json: null,
         source: update.source ? JSON.stringify(update.source) : null,
-        source_label: update.$source || (update.source ? update.source.label : null),
+        source_label: messageSource,
         source_type: update.source ? update.source.type : null,
         source_pgn: update.source ? update.source.pgn : null,
-        source_src: update.source ? update.source.src : null,
-        meta: valueUpdate.meta ? JSON.stringify(valueUpdate.meta) : null
+        source_src: update.source ? update.source.src : null
       };
 
+      // Meta is stored once per path, not in every record
+      if (valueUpdate.meta) {
+        pathMetadata.update(record.context, valueUpdate.path, valueUpdate.meta);
+      }
+
+      // Only mark the record; rows with source_preferred = true make up the "best" series
+      if (preferred !== null) {
+        record.source_preferred = preferred;
+      }
+
       // Handle different value types (matching Python logic)
       if (typeof valueUpdate.value === 'object' && valueUpdate.value !== null) {
         record.value_json = JSON.stringify(valueUpdate.value);
         
-        // Flatten object properties for easier querying
-        for (const [key, val] of Object.entries(valueUpdate.value)) {
-          if (typeof val === 'string' || typeof val === 'number' || typeof val === 'boolean') {
-            record[`value_${key}`] = val;
-          }
-        }
+        // Flatten object properties (down to the path's flatten depth) for easier querying
+        const flattenDepth = pathConfig.flattenDepth !== undefined && pathConfig.flattenDepth !== ''
+          ? Number(pathConfig.flattenDepth)
+          : config.flattenDepth;
+        Object.assign(record, flattenValue(valueUpdate.value, flattenDepth));
       } else {
         record.value = valueUpdate.value;
       }
 
       // Use actual context + path as buffer key to separate data from different vessels
       const actualContext = delta.context || pathConfig.context || 'vessels.self';
+
+      // Wildcard configs get one buffer (and directory) per concrete path they resolve to
+      if (isPattern(pathConfig.path) && !resolvedPaths.has(valueUpdate.path)) {
+        resolvedPaths.set(valueUpdate.path, {
+          path: valueUpdate.path,
+          pattern: pathConfig.path,
+          firstSeen: record.received_timestamp
+        });
+        app.debug(`🌟 Wildcard ${pathConfig.path} resolved new path: ${valueUpdate.path}`);
+      }
       
-      const bufferKey = `${actualContext}:${pathConfig.path}`;
+      // Paths partitioned by source get one buffer (and directory) per source
+      const bufferKey = pathConfig.partitionBySource
+        ? `${actualContext}:${valueUpdate.path}:${messageSource}`
+        : `${actualContext}:${valueUpdate.path}`;
+
+      if (!recording) {
+        addToLookbackBuffer(bufferKey, valueUpdate.path, pathConfig, record, valueUpdate.value, lookbackMs);
+        return;
+      }
+
+      // Drop records while the storage guard has paused the path or refuses new files
+      const block = storageGuard.getBlock(getPathDirectory(config, actualContext, valueUpdate.path), pathConfig);
+      if (block) {
+        storageGuard.countDropped(block);
+        return;
+      }
+
+      // Skip values inside the deadband or unchanged values on change-only paths
+      if (!passesRecordingFilter(bufferKey, valueUpdate.value, pathConfig)) {
+        return;
+      }
+
       bufferData(bufferKey, record, config);
 
     } catch (error) {
@@ -413,6 +989,11 @@ module.exports = function(app) {
     
     const buffer = dataBuffers.get(signalkPath);
     buffer.push(record);
+
+    // Journal the record so it survives a crash before the buffer is written
+    if (writeAheadLog) {
+      writeAheadLog.append(signalkPath, record);
+    }
     
     // Debug every 100 records to show buffer growth
     if (buffer.length % 100 === 0) {
@@ -421,18 +1002,25 @@ module.exports = function(app) {
     
     if (buffer.length >= config.bufferSize) {
       app.debug(`🚀 Buffer full for ${signalkPath} (${buffer.length} records) - triggering save`);
-      // Extract the actual SignalK path from the buffer key (context:path format)
-      // Find the separator between context and path - look for the last colon followed by a valid SignalK path
-      const pathMatch = signalkPath.match(/^.*:([a-zA-Z][a-zA-Z0-9._]*)$/);
-      const actualPath = pathMatch ? pathMatch[1] : signalkPath;
-      saveBufferToParquet(actualPath, buffer, config);
+      // Buffer keys also carry the context (and source), so take the path from the records
+      trackWrite(saveBufferToParquet(buffer[0].path, buffer, config, writeAheadLog ? writeAheadLog.segment : null));
       dataBuffers.set(signalkPath, []); // Clear buffer
       app.debug(`🧹 Buffer cleared for ${signalkPath}`);
     }
   }
 
-  // Save all buffers (called periodically and on shutdown)
+  // Keep track of a file write until it finishes
+  function trackWrite(writePromise) {
+    pendingWrites.add(writePromise);
+    writePromise.finally(() => pendingWrites.delete(writePromise));
+    return writePromise;
+  }
+
+  // Save all buffers (called periodically and on shutdown). Resolves once every
+  // write in progress has finished and the journal they covered is committed.
   function saveAllBuffers(config) {
+    // Records journaled from now on belong to buffers this save doesn't cover
+    const journalSegment = writeAheadLog ? writeAheadLog.rotate() : null;
     const totalBuffers = dataBuffers.size;
     let buffersWithData = 0;
     let totalRecords = 0;
@@ -442,55 +1030,181 @@ module.exports = function(app) {
         buffersWithData++;
         totalRecords += buffer.length;
         app.debug(`⏰ Periodic save for ${signalkPath}: ${buffer.length} records`);
-        // Extract the actual SignalK path from the buffer key (context:path format)
-        // Find the separator between context and path - look for the last colon followed by a valid SignalK path
-        const pathMatch = signalkPath.match(/^.*:([a-zA-Z][a-zA-Z0-9._]*)$/);
-        const actualPath = pathMatch ? pathMatch[1] : signalkPath;
-        saveBufferToParquet(actualPath, buffer, config);
+        // Buffer keys also carry the context (and source), so take the path from the records
+        trackWrite(saveBufferToParquet(buffer[0].path, buffer, config, journalSegment));
         dataBuffers.set(signalkPath, []); // Clear buffer
       }
     });
     
     if (buffersWithData > 0) {
-      app.debug(`💾 Periodic save completed: ${buffersWithData}/${totalBuffers} paths, ${totalRecords} total records`);
+      app.debug(`💾 Periodic save started: ${buffersWithData}/${totalBuffers} paths, ${totalRecords} total records`);
     }
+
+    return Promise.allSettled(Array.from(pendingWrites))
+      .then(() => rollingWriter ? rollingWriter.closeExpired() : null)
+      .then(() => {
+        if (journalSegment === null) return;
+        // Records in files that are still open aren't safe on disk yet
+        const oldestOpenSegment = rollingWriter ? rollingWriter.getOldestOpenSegment() : Infinity;
+        writeAheadLog.commit(Math.min(journalSegment, oldestOpenSegment - 1));
+      });
   }
 
-  // Save buffer to Parquet file
-  async function saveBufferToParquet(signalkPath, buffer, config) {
+  // Write records journaled by a previous run that never reached a file (crash or power cut)
+  async function replayWriteAheadLog(segments, config) {
+    if (segments.length === 0) return;
+
     try {
-      // Get context from first record in buffer (all records in buffer have same path/context)
-      const context = buffer.length > 0 ? buffer[0].context : 'vessels.self';
-      
-      // Create proper directory structure
-      let contextPath;
-      if (context === 'vessels.self') {
-        // Clean the self context for filesystem usage (replace dots with slashes, colons with underscores)
-        contextPath = app.selfContext.replace(/\./g, '/').replace(/:/g, '_');
-      } else if (context.startsWith('vessels.')) {
-        // Extract vessel identifier and clean it for filesystem
-        const vesselId = context.replace('vessels.', '').replace(/:/g, '_');
-        contextPath = `vessels/${vesselId}`;
-      } else if (context.startsWith('meteo.')) {
-        // Extract meteo station identifier and clean it for filesystem  
-        const meteoId = context.replace('meteo.', '').replace(/:/g, '_');
-        contextPath = `meteo/${meteoId}`;
-      } else {
-        // Fallback: clean the entire context
-        contextPath = context.replace(/:/g, '_').replace(/\./g, '/');
+      const recordsByKey = writeAheadLog.readSegments(segments);
+      const lastSegment = segments[segments.length - 1];
+      let totalRecords = 0;
+      const writes = [];
+
+      recordsByKey.forEach(records => {
+        if (records.length === 0) return;
+        totalRecords += records.length;
+        writes.push(trackWrite(saveBufferToParquet(records[0].path, records, config, lastSegment)));
+      });
+
+      app.debug(`♻️ Replaying ${totalRecords} records for ${recordsByKey.size} paths from the write-ahead log`);
+      await Promise.allSettled(writes);
+      // Replayed records appended to open files are committed by the periodic save once the files close
+      if (!rollingWriter) {
+        writeAheadLog.commit(lastSegment);
       }
+    } catch (error) {
+      app.debug('Error replaying write-ahead log:', error);
+    }
+  }
+
+  // Does a path config's context (vessels.self by default, or a wildcard such as
+  // vessels.*) cover a record's context? Wildcards only cover the own vessel with includeSelf.
+  function matchesConfigContext(pathConfig, context) {
+    const configContext = pathConfig.context || 'vessels.self';
+    if (context === configContext) return true;
+    if (configContext === 'vessels.self') return context === app.selfContext;
+    if (isPattern(configContext)) {
+      return matchesPath(configContext, context) && (context !== app.selfContext || Boolean(pathConfig.includeSelf));
+    }
+    return false;
+  }
+
+  // Config of the records of a path in a context, matched like their subscription:
+  // the configs for that context, those naming it before wildcard contexts
+  function findRecordPathConfig(config, context, signalkPath) {
+    const pathConfigs = config.paths.filter(pathConfig => pathConfig && pathConfig.path && matchesConfigContext(pathConfig, context));
+    return findPathConfig([
+      ...pathConfigs.filter(pathConfig => !isPattern(pathConfig.context)),
+      ...pathConfigs.filter(pathConfig => isPattern(pathConfig.context))
+    ], signalkPath);
+  }
+
+  // Directory of a SignalK path in a context, below the output directory
+  function getPathDirectory(config, context, signalkPath) {
+    let contextPath;
+    if (context === 'vessels.self') {
+      // Clean the self context for filesystem usage (replace dots with slashes, colons with underscores)
+      contextPath = app.selfContext.replace(/\./g, '/').replace(/:/g, '_');
+    } else if (context.startsWith('vessels.')) {
+      // Extract vessel identifier and clean it for filesystem
+      const vesselId = context.replace('vessels.', '').replace(/:/g, '_');
+      contextPath = `vessels/${vesselId}`;
+    } else if (context.startsWith('meteo.')) {
+      // Extract meteo station identifier and clean it for filesystem  
+      const meteoId = context.replace('meteo.', '').replace(/:/g, '_');
+      contextPath = `meteo/${meteoId}`;
+    } else if (context.startsWith('atons.')) {
+      // Extract aid to navigation identifier and clean it for filesystem
+      const atonId = context.replace('atons.', '').replace(/:/g, '_');
+      contextPath = `atons/${atonId}`;
+    } else {
+      // Fallback: clean the entire context
+      contextPath = context.replace(/:/g, '_').replace(/\./g, '/');
+    }
+    return path.join(config.outputDirectory, contextPath, signalkPath.replace(/\./g, '/'));
+  }
+
+  // Save buffer to Parquet file. `journalSegment` is the write-ahead log segment
+  // holding the records, so the journal isn't committed while they sit in an open file.
+  async function saveBufferToParquet(signalkPath, buffer, config, journalSegment) {
+    try {
+      // Get context from first record in buffer (all records in buffer have same path/context)
+      const context = buffer.length > 0 ? buffer[0].context : 'vessels.self';
       
-      const dirPath = path.join(config.outputDirectory, contextPath, signalkPath.replace(/\./g, '/'));
-      await fs.ensureDir(dirPath);
-      
-      // Generate filename with timestamp
-      const timestamp = new Date().toISOString().replace(/[:.]/g, '').slice(0, 15);
-      const fileExt = config.fileFormat === 'csv' ? 'csv' : (config.fileFormat === 'parquet' ? 'parquet' : 'json');
-      const filename = `${config.filenamePrefix}_${timestamp}.${fileExt}`;
-      const filepath = path.join(dirPath, filename);
+      // Partitioned layouts add date directories below the path, e.g. year=2025/month=07/day=02,
+      // after a source_ref=<$source> directory for paths partitioned by source
+      const pathConfig = findRecordPathConfig(config, context, signalkPath);
+      const partitionSegments = [
+        ...(pathConfig && pathConfig.partitionBySource ? [getSourcePartition(buffer[0].source_label)] : []),
+        ...getPartitionSegments(config.partitionLayout, buffer[0].received_timestamp)
+      ];
+      const pathDir = getPathDirectory(config, context, signalkPath);
+
+      // Buffers filled before the storage guard paused the path or started refusing files
+      const block = storageGuard.getBlock(pathDir, pathConfig);
+      if (block) {
+        storageGuard.countDropped(block, buffer.length);
+        app.debug(`🛑 Dropped ${buffer.length} records for ${signalkPath}: storage guard ${block === 'paused' ? 'paused the path' : 'refuses new files'}`);
+        return;
+      }
+
+      // A new path (or a path new to this context) gets its query view at the catalog's next use
+      if (queryCatalog && !(await fs.pathExists(pathDir))) {
+        queryCatalog.markStale();
+      }
+
+      const dirPath = path.join(pathDir, ...partitionSegments);
+      await fs.ensureDir(dirPath);
+
+      // Keep the path's _meta.json current; Parquet files embed it
+      try {
+        await pathMetadata.saveCatalog(pathDir, context, signalkPath);
+      } catch (error) {
+        app.debug(`⚠️ Could not update ${META_FILE} for ${signalkPath}:`, error.message);
+      }
+
+      const format = ParquetWriter.resolveFormat(getPathFormat(pathConfig, config.fileFormat));
+
+      // Append to the path's file for the current window; it becomes visible (and is uploaded) when it closes
+      if (rollingWriter && format === 'parquet') {
+        try {
+          const openPath = await rollingWriter.append(dirPath, config.filenamePrefix, buffer, journalSegment);
+          app.debug(`💾 Appended ${buffer.length} records to ${path.basename(openPath)} for path: ${signalkPath}`);
+          return;
+        } catch (error) {
+          app.debug(`⚠️ Appending for ${signalkPath} failed, writing a separate file instead:`, error.message);
+        }
+      }
       
-      // Use ParquetWriter to save in the configured format
-      const savedPath = await parquetWriter.writeRecords(filepath, buffer);
+      let filepath;
+      if (format === 'ndjson' && config.fileRotationMinutes > 0) {
+        // NDJSON saves are appended to one file per path and window, readable between saves
+        const windowMs = config.fileRotationMinutes * 60 * 1000;
+        const firstTime = new Date(buffer[0].received_timestamp).getTime();
+        const windowStart = Math.floor((isNaN(firstTime) ? Date.now() : firstTime) / windowMs) * windowMs;
+        const stamp = new Date(windowStart).toISOString().replace(/[:.]/g, '').slice(0, 15);
+        filepath = path.join(dirPath, `${config.filenamePrefix}_${stamp}.ndjson`);
+      } else {
+        // Generate filename with timestamp
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '').slice(0, 15);
+        const fileExt = getFileExtension(format);
+        // Two saves for a path within the same minute (e.g. a lookback flush and a full buffer) get distinct
+        // files. The claim is checked after the await, so no other save can take the name before it is claimed.
+        let filename = `${config.filenamePrefix}_${timestamp}${fileExt}`;
+        for (let n = 1; await fs.pathExists(path.join(dirPath, filename)) || claimedFiles.has(path.join(dirPath, filename)); n++) {
+          filename = `${config.filenamePrefix}_${timestamp}_${n}${fileExt}`;
+        }
+        filepath = path.join(dirPath, filename);
+      }
+      
+      // Use ParquetWriter to save in the path's format
+      claimedFiles.add(filepath);
+      let savedPath;
+      try {
+        savedPath = await parquetWriter.writeRecords(filepath, buffer, format);
+      } finally {
+        claimedFiles.delete(filepath);
+      }
       
       app.debug(`💾 Saved ${buffer.length} records to ${path.basename(savedPath)} for path: ${signalkPath}`);
       
@@ -504,28 +1218,104 @@ module.exports = function(app) {
     }
   }
 
-  // Daily consolidation function
-  async function consolidateYesterday(config) {
-    try {
-      const yesterday = new Date();
-      yesterday.setUTCDate(yesterday.getUTCDate() - 1);
-      
-      const consolidatedCount = await parquetWriter.consolidateDaily(
-        config.outputDirectory, 
-        yesterday, 
-        config.filenamePrefix
-      );
-      
-      if (consolidatedCount > 0) {
-        app.debug(`Consolidated ${consolidatedCount} topic directories for ${yesterday.toISOString().split('T')[0]}`);
-        
-        // Upload consolidated files to S3 if enabled and timing is consolidation
-        if (config.s3Upload.enabled && config.s3Upload.timing === 'consolidation') {
-          await uploadConsolidatedFilesToS3(config, yesterday);
+  // Consolidation runs one at a time, so the nightly job, the startup catch-up and
+  // API requests never work on the same day together
+  function runConsolidation(task) {
+    const run = consolidationChain.then(task);
+    consolidationChain = run.catch(() => {});
+    return run;
+  }
+
+  // Consolidate every past day that still has unconsolidated files: yesterday at
+  // midnight, plus days missed while the server was down or restarted around
+  // midnight. `options` can limit the run to a date range (from/to, YYYY-MM-DD) and
+  // to SignalK paths matching `pathFilter`.
+  function consolidatePastDays(config, options = {}) {
+    return runConsolidation(async () => {
+      // The last window of the day may still be open
+      if (rollingWriter) {
+        await rollingWriter.closeExpired();
+      }
+
+      // Recovered records belong in their day's consolidated file
+      if (writesParquet(config)) {
+        await recoverFailedFiles(config);
+      }
+
+      const today = new Date().toISOString().split('T')[0];
+      const dates = (await parquetWriter.findUnconsolidatedDates(config.outputDirectory, today, options.pathFilter))
+        .filter(date => (!options.from || date >= options.from) && (!options.to || date <= options.to));
+      const results = [];
+
+      for (const dateStr of dates) {
+        const date = new Date(`${dateStr}T00:00:00Z`);
+        try {
+          const result = await parquetWriter.consolidateDaily(
+            config.outputDirectory, 
+            date, 
+            config.filenamePrefix,
+            { pathFilter: options.pathFilter, duplicates: config.duplicates, limits: config.consolidationLimits, pathConfigs: config.paths }
+          );
+          results.push(result);
+          
+          if (result.errors.length > 0) {
+            app.debug(`⚠️ Could not consolidate ${result.errors.length} topic directories for ${dateStr}:`, result.errors);
+          }
+          if (result.directories > 0) {
+            app.debug(`Consolidated ${result.files} files in ${result.directories} topic directories for ${dateStr} (${result.duplicates} duplicates removed)`);
+            
+            // Upload consolidated files to S3 if enabled and timing is consolidation
+            if (config.s3Upload.enabled && config.s3Upload.timing === 'consolidation') {
+              await uploadConsolidatedFilesToS3(config, date);
+            }
+          }
+        } catch (error) {
+          app.debug(`Error during daily consolidation of ${dateStr}:`, error);
+          results.push({ date: dateStr, error: error.message });
         }
       }
+      return results;
+    });
+  }
+
+  // Is any path written as Parquet, by default or through its own format?
+  function writesParquet(config) {
+    return config.fileFormat === 'parquet' || config.paths.some(pathConfig => pathConfig && pathConfig.format === 'parquet');
+  }
+
+  // Convert failed/ JSON files back into Parquet
+  async function recoverFailedFiles(config) {
+    try {
+      const result = await failedFileRecovery.run(config);
+      if (result.recovered > 0) {
+        app.debug(`🩹 Recovered ${result.recordCount} records from ${result.recovered} failed files`);
+      }
+      if (result.errors.length > 0) {
+        app.debug(`⚠️ Could not recover ${result.errors.length} failed files:`, result.errors);
+      }
+    } catch (error) {
+      app.debug('Error recovering failed files:', error);
+    }
+  }
+
+  // Check free space and quotas; the guard pauses, purges or refuses as configured
+  async function checkStorage(config) {
+    try {
+      await storageGuard.check(config);
+    } catch (error) {
+      app.debug('Error checking storage:', error);
+    }
+  }
+
+  // Delete or archive processed, consolidated and failed files past their retention period
+  async function applyRetention(config) {
+    try {
+      const result = await retentionManager.run(config);
+      if (result.errors.length > 0) {
+        app.debug(`⚠️ Retention could not remove ${result.errors.length} files:`, result.errors);
+      }
     } catch (error) {
-      app.debug('Error during daily consolidation:', error);
+      app.debug('Error applying retention:', error);
     }
   }
 
@@ -533,7 +1323,8 @@ module.exports = function(app) {
   async function uploadConsolidatedFilesToS3(config, date) {
     try {
       const dateStr = date.toISOString().split('T')[0];
-      const consolidatedPattern = `**/*_${dateStr}_consolidated.parquet`;
+      // Consolidated files are in each path's own format
+      const consolidatedPattern = `**/*_${dateStr}_consolidated{${FORMATS.map(getFileExtension).join(',')}}`;
       
       // Find all consolidated files for the date
       const { glob } = require('glob');
@@ -557,9 +1348,7 @@ module.exports = function(app) {
 
   // Initialize regimen states from current API values at startup
   function initializeRegimenStates(config) {
-    const commandPaths = config.paths.filter(pathConfig => 
-      pathConfig && pathConfig.path && pathConfig.path.startsWith('commands.') && pathConfig.enabled
-    );
+    const commandPaths = getCommandPathConfigs(config);
 
     app.debug(`🔍 Checking current command values for ${commandPaths.length} command paths at startup`);
 
@@ -574,15 +1363,15 @@ module.exports = function(app) {
           // Check if there's source information
           let shouldProcess = true;
           
-          // If source filter is specified, check it
-          if (pathConfig.source && pathConfig.source.trim() !== '') {
-            // For startup, we need to check the API source info
-            // This is a simplified check - in real deltas we get more source info
-            app.debug(`🔍 Source filter specified for ${pathConfig.path}: "${pathConfig.source.trim()}"`);
+          // If source filter is specified, check it against the source of the current value
+          if (hasSourceFilter(pathConfig.source)) {
+            app.debug(`🔍 Source filter specified for ${pathConfig.path}: ${JSON.stringify(pathConfig.source)}`);
             
-            // For now, we'll process the value if it exists and log a warning
-            // In practice, you might want to check the source here too
-            app.debug(`⚠️  Startup value processed without source verification for ${pathConfig.path}`);
+            if (currentData.$source) {
+              shouldProcess = matchesSourceFilter(pathConfig.source, currentData.$source);
+            } else {
+              app.debug(`⚠️  Startup value processed without source verification for ${pathConfig.path}`);
+            }
           }
           
           if (shouldProcess && currentData.value !== undefined) {
@@ -640,7 +1429,7 @@ module.exports = function(app) {
         Bucket: config.s3Upload.bucket,
         Key: s3Key,
         Body: fileContent,
-        ContentType: filePath.endsWith('.parquet') ? 'application/octet-stream' : 'application/json'
+        ContentType: UPLOAD_CONTENT_TYPES[getFileFormat(filePath)] || 'application/octet-stream'
       });
 
       await s3Client.send(command);
@@ -696,18 +1485,362 @@ module.exports = function(app) {
       fileFormat: {
         type: 'string',
         title: 'File Format',
-        description: 'Format for saved data files',
-        enum: ['json', 'csv', 'parquet'],
+        description: 'Format for saved data files. A path can use another format through its own format setting.',
+        enum: FORMATS,
+        enumNames: ['Parquet', 'NDJSON (newline-delimited JSON)', 'Arrow IPC / Feather', 'JSON', 'CSV'],
         default: 'parquet'
       },
+      partitionLayout: {
+        type: 'string',
+        title: 'Directory Layout',
+        description: 'Put files in Hive-style date partitions below each path so queries for a day only read that day. Existing files can be moved with bin/migrate-layout.js.',
+        enum: LAYOUTS,
+        enumNames: ['Flat (path/file)', 'Date partitions (path/date=YYYY-MM-DD/file)', 'Year/month/day partitions (path/year=YYYY/month=MM/day=DD/file)'],
+        default: 'none'
+      },
+      fileRotationMinutes: {
+        type: 'number',
+        title: 'File Rotation (minutes)',
+        description: 'Parquet and NDJSON: append every save to one file per path for this long (one row group per save in Parquet). Set to 0 to write a new file on every save.',
+        default: 60,
+        minimum: 0,
+        maximum: 1440
+      },
+      maxOpenFiles: {
+        type: 'number',
+        title: 'Maximum Open Files',
+        description: 'Parquet files kept open for appends at once (one per path directory, so per AIS target with wildcard contexts). Beyond this the least recently written file is closed early.',
+        default: 100,
+        minimum: 1
+      },
+      flattenDepth: {
+        type: 'number',
+        title: 'Object Flatten Depth',
+        description: 'Levels of nested object values written as value_<key>_<key> columns (deeper objects and arrays become JSON text columns; 0 = value_json only). Paths can override this with their own "flattenDepth".',
+        default: DEFAULT_FLATTEN_DEPTH,
+        minimum: 0,
+        maximum: 10
+      },
+      duplicates: {
+        type: 'string',
+        title: 'Duplicate Records',
+        description: 'Daily consolidation drops records repeated with the same context, path, timestamp, source and value. Paths can override this with their own "duplicates" setting.',
+        enum: ['first', 'last', 'all'],
+        enumNames: ['Keep the first copy', 'Keep the last copy', 'Keep all copies'],
+        default: 'first'
+      },
+      consolidationLimits: {
+        type: 'object',
+        title: 'Consolidation Limits',
+        description: 'Resources DuckDB may use for daily consolidation of Parquet files',
+        properties: {
+          memoryLimitMB: {
+            type: 'number',
+            title: 'Memory Limit (MB)',
+            description: 'Memory for reading and sorting a day of a path; larger sorts spill to .tmp in the output directory',
+            default: 256,
+            minimum: 64
+          },
+          threads: {
+            type: 'number',
+            title: 'Threads',
+            description: 'CPU threads consolidation may use',
+            default: 1,
+            minimum: 1
+          }
+        }
+      },
       retentionDays: {
         type: 'number',
         title: 'Retention Days',
-        description: 'Days to keep processed files',
+        description: 'Days to keep processed source files after daily consolidation',
         default: 7,
         minimum: 1,
         maximum: 365
       },
+      retention: {
+        type: 'object',
+        title: 'Retention Configuration',
+        description: 'Daily cleanup of processed, consolidated and failed files',
+        properties: {
+          enabled: {
+            type: 'boolean',
+            title: 'Enable Retention',
+            description: 'Run the retention job at startup and once a day',
+            default: true
+          },
+          consolidatedDays: {
+            type: 'number',
+            title: 'Consolidated File Retention Days',
+            description: 'Days to keep daily consolidated files (0 = keep forever)',
+            default: 0,
+            minimum: 0
+          },
+          failedDays: {
+            type: 'number',
+            title: 'Failed File Retention Days',
+            description: 'Days to keep files in failed/ directories (0 = keep forever)',
+            default: 30,
+            minimum: 0
+          },
+          action: {
+            type: 'string',
+            title: 'Retention Action',
+            description: 'What to do with expired files',
+            enum: ['delete', 'archive'],
+            enumNames: ['Delete', 'Move to archive directory'],
+            default: 'delete'
+          },
+          archiveDirectory: {
+            type: 'string',
+            title: 'Archive Directory',
+            description: 'Where expired files are moved when archiving (defaults to zennora-signalk-parquet-archive next to the output directory)',
+            default: ''
+          },
+          pathOverrides: {
+            type: 'array',
+            title: 'Per-Path Retention',
+            description: 'Retention days for matching SignalK paths, overriding the values above. Patterns match like path configs: * matches any characters, and an exact path wins over patterns.',
+            items: {
+              type: 'object',
+              properties: {
+                path: {
+                  type: 'string',
+                  title: 'Path Pattern',
+                  description: 'e.g. "navigation.*" or "propulsion.*.revolutions"'
+                },
+                days: {
+                  type: 'number',
+                  title: 'Retention Days',
+                  description: 'Days to keep files for matching paths (0 = keep forever)',
+                  minimum: 0
+                }
+              }
+            }
+          }
+        }
+      },
+      queryDatabaseDirectory: {
+        type: 'string',
+        title: 'Query Database Directory',
+        description: 'Where DuckDB keeps the query views (catalog.duckdb) and spills large queries (tmp/). Must be outside the output directory (defaults to application_data/{vessel}/zennora-signalk-parquet-duckdb)',
+        default: ''
+      },
+      queryLimits: {
+        type: 'object',
+        title: 'Query Limits',
+        description: 'Limits of SQL queries sent to /api/query, which can only read files in the output directory',
+        properties: {
+          timeoutSeconds: {
+            type: 'number',
+            title: 'Query Timeout (seconds)',
+            default: 30,
+            minimum: 1
+          },
+          memoryLimitMB: {
+            type: 'number',
+            title: 'Memory Limit (MB)',
+            description: 'Memory DuckDB may use for queries; larger sorts and joins spill to tmp/ in the query database directory',
+            default: 512,
+            minimum: 64
+          },
+          maxRows: {
+            type: 'number',
+            title: 'Maximum Rows',
+            description: 'Rows returned per query; responses say when a result was truncated',
+            default: 10000,
+            minimum: 1
+          }
+        }
+      },
+      storage: {
+        type: 'object',
+        title: 'Disk Space Guard',
+        description: 'Checked every minute. Below half the minimum free space no new files are written, whatever the action.',
+        properties: {
+          enabled: {
+            type: 'boolean',
+            title: 'Enable Disk Space Guard',
+            default: true
+          },
+          minFreeMB: {
+            type: 'number',
+            title: 'Minimum Free Space (MB)',
+            description: 'Free space to keep on the disk holding the output directory',
+            default: 200,
+            minimum: 0
+          },
+          quotaMB: {
+            type: 'number',
+            title: 'Output Directory Quota (MB)',
+            description: 'Most the output directory may hold (0 = no quota)',
+            default: 0,
+            minimum: 0
+          },
+          action: {
+            type: 'string',
+            title: 'Action When a Limit Is Hit',
+            enum: ['pause-low-priority', 'purge-processed', 'refuse-writes'],
+            enumNames: ['Pause low-priority paths', 'Purge the oldest processed files', 'Refuse new files'],
+            default: 'purge-processed'
+          },
+          pathQuotas: {
+            type: 'array',
+            title: 'Per-Path Quotas',
+            description: 'Most each matching path directory (one per context) may hold. A path over its quota is paused, purged or refused on its own. Patterns match like path configs: * matches any characters, and an exact path wins over patterns.',
+            items: {
+              type: 'object',
+              properties: {
+                path: {
+                  type: 'string',
+                  title: 'Path Pattern',
+                  description: 'e.g. "navigation.gnss.*" or "environment.*"'
+                },
+                quotaMB: {
+                  type: 'number',
+                  title: 'Quota (MB)',
+                  minimum: 0
+                }
+              }
+            }
+          }
+        }
+      },
+      parquetOptions: {
+        type: 'object',
+        title: 'Parquet Encoding',
+        description: 'Compression, dictionary encoding and row-group size of Parquet files. ZSTD and dictionary encoding are written with DuckDB.',
+        properties: {
+          compression: {
+            type: 'string',
+            title: 'Compression',
+            description: 'SNAPPY is fast; GZIP, ZSTD and BROTLI make smaller files for small disks and expensive uplinks',
+            enum: ['SNAPPY', 'GZIP', 'ZSTD', 'BROTLI', 'UNCOMPRESSED'],
+            default: 'SNAPPY'
+          },
+          dictionaryEncoding: {
+            type: 'boolean',
+            title: 'Dictionary Encoding',
+            description: 'Store repetitive columns such as path, context and source_label once per row group',
+            default: false
+          },
+          rowGroupSize: {
+            type: 'number',
+            title: 'Row Group Size',
+            description: 'Rows per row group (0 = default: one row group per save for hourly files)',
+            default: 0,
+            minimum: 0
+          },
+          pathOverrides: {
+            type: 'array',
+            title: 'Per-Path Encoding',
+            description: 'Settings for matching SignalK paths (wildcards allowed), overriding the values above',
+            items: {
+              type: 'object',
+              required: ['path'],
+              properties: {
+                path: {
+                  type: 'string',
+                  title: 'Path Pattern',
+                  description: 'e.g. "navigation.position" or "environment.*"'
+                },
+                compression: {
+                  type: 'string',
+                  title: 'Compression',
+                  enum: ['SNAPPY', 'GZIP', 'ZSTD', 'BROTLI', 'UNCOMPRESSED']
+                },
+                dictionaryEncoding: {
+                  type: 'boolean',
+                  title: 'Dictionary Encoding'
+                },
+                rowGroupSize: {
+                  type: 'number',
+                  title: 'Row Group Size',
+                  minimum: 0
+                }
+              }
+            }
+          }
+        }
+      },
+      regimenRules: {
+        type: 'array',
+        title: 'Automatic Regimen Rules',
+        description: 'Turn regimens on and off from live data. Each rule publishes commands.<regimen> when its condition has held long enough.',
+        items: {
+          type: 'object',
+          required: ['regimen', 'path'],
+          properties: {
+            regimen: {
+              type: 'string',
+              title: 'Regimen',
+              description: 'Regimen to set, e.g. "underway" (published as commands.underway)'
+            },
+            type: {
+              type: 'string',
+              title: 'Rule Type',
+              enum: ['threshold', 'geofence'],
+              enumNames: ['Threshold on a value', 'Geofence circle around a position'],
+              default: 'threshold'
+            },
+            path: {
+              type: 'string',
+              title: 'SignalK Path',
+              description: 'Own-vessel path to watch, e.g. navigation.speedOverGround, propulsion.*.revolutions or navigation.position',
+              default: 'navigation.speedOverGround'
+            },
+            operator: {
+              type: 'string',
+              title: 'Operator (threshold)',
+              enum: ['>', '>=', '<', '<=', '==', '!='],
+              default: '>'
+            },
+            value: {
+              type: 'number',
+              title: 'Threshold Value',
+              description: 'In SignalK units (SI), e.g. 0.514 m/s for 1 knot'
+            },
+            latitude: {
+              type: 'number',
+              title: 'Geofence Center Latitude'
+            },
+            longitude: {
+              type: 'number',
+              title: 'Geofence Center Longitude'
+            },
+            radius: {
+              type: 'number',
+              title: 'Geofence Radius (meters)'
+            },
+            inside: {
+              type: 'boolean',
+              title: 'Active Inside Geofence',
+              description: 'Uncheck to make the regimen active outside the circle',
+              default: true
+            },
+            forSeconds: {
+              type: 'number',
+              title: 'Hold Time (seconds)',
+              description: 'How long the condition must hold before the regimen turns on',
+              default: 0,
+              minimum: 0
+            },
+            offForSeconds: {
+              type: 'number',
+              title: 'Release Time (seconds)',
+              description: 'How long the condition must fail before the regimen turns off (defaults to the hold time)',
+              minimum: 0
+            },
+            staleSeconds: {
+              type: 'number',
+              title: 'Stale After (seconds)',
+              description: 'A value not updated for this long no longer counts, so the condition fails when the sensor stops reporting (0 = never)',
+              default: 60,
+              minimum: 0
+            }
+          }
+        }
+      },
       s3Upload: {
         type: 'object',
         title: 'S3 Upload Configuration',
@@ -785,16 +1918,32 @@ module.exports = function(app) {
       return currentConfig?.outputDirectory || app.getDataDirPath();
     };
 
+    // How DuckDB reads the data files of the output directory, in any format
+    const getQuerySources = () => {
+      const dataDir = getDataDir();
+      if (!querySources || querySources.outputDirectory !== dataDir) {
+        querySources = new QuerySources({ app: app, parquetWriter: parquetWriter || new ParquetWriter({ app: app }), outputDirectory: dataDir });
+      }
+      return querySources;
+    };
+
+    // Units, description, display name and zones of a path directory, from its _meta.json
+    const getPathMeta = (pathDir) => {
+      const catalog = (pathMetadata || new PathMetadata({ app: app })).readCatalog(pathDir);
+      return catalog ? pickMeta(catalog) : null;
+    };
+
 
-    // Helper function to get available paths from directory structure
-    function getAvailablePaths(dataDir) {
+    // Helper function to get available paths from directory structure, of the self
+    // context or of another context directory (<type>/<id>)
+    function getAvailablePaths(dataDir, contextPath) {
       const paths = [];
       // Clean the self context for filesystem usage (replace dots with slashes, colons with underscores)
-      const selfContextPath = app.selfContext.replace(/\./g, '/').replace(/:/g, '_');
+      const selfContextPath = contextPath || app.selfContext.replace(/\./g, '/').replace(/:/g, '_');
       const vesselsDir = path.join(dataDir, selfContextPath);
       
       app.debug(`🔍 Looking for paths in vessel directory: ${vesselsDir}`);
-      app.debug(`📡 Using vessel context: ${app.selfContext} → ${selfContextPath}`);
+      app.debug(`📡 Using vessel context: ${contextPath || app.selfContext} → ${selfContextPath}`);
       
       if (!fs.existsSync(vesselsDir)) {
         app.debug(`❌ Vessel directory does not exist: ${vesselsDir}`);
@@ -809,22 +1958,31 @@ module.exports = function(app) {
             const fullPath = path.join(currentPath, item);
             const stat = fs.statSync(fullPath);
             
-            if (stat.isDirectory() && item !== 'processed' && item !== 'failed') {
+            // Date partitions belong to the path above them, they aren't path segments
+            if (stat.isDirectory() && item !== 'processed' && item !== 'failed' && !isPartitionDir(item)) {
               const newRelativePath = relativePath ? `${relativePath}.${item}` : item;
               
-              // Check if this directory has parquet files
-              const hasParquetFiles = fs.readdirSync(fullPath).some(file => file.endsWith('.parquet'));
+              // Check if this directory has data files (directly or in its date partitions)
+              const dataFiles = listPathFiles(fullPath, DATA_FILE_EXTENSIONS);
+              const fileCount = dataFiles.length;
               
-              if (hasParquetFiles) {
-                const fileCount = fs.readdirSync(fullPath).filter(file => file.endsWith('.parquet')).length;
+              if (fileCount > 0) {
                 app.debug(`✅ Found SignalK path with data: ${newRelativePath} (${fileCount} files)`);
-                paths.push({
+                const pathInfo = {
                   path: newRelativePath,
                   directory: fullPath,
-                  fileCount: fileCount
-                });
+                  filePattern: getPathGlob(fullPath, currentConfig?.partitionLayout),
+                  fileCount: fileCount,
+                  formats: FORMATS.filter(format => dataFiles.some(file => getFileFormat(file) === format)),
+                  meta: getPathMeta(fullPath)
+                };
+                const wildcardConfig = findPathConfig((currentConfig?.paths || []).filter(p => p && isPattern(p.path)), newRelativePath);
+                if (wildcardConfig) {
+                  pathInfo.pattern = wildcardConfig.path;
+                }
+                paths.push(pathInfo);
               } else {
-                app.debug(`📁 Directory ${newRelativePath} has no parquet files`);
+                app.debug(`📁 Directory ${newRelativePath} has no data files`);
               }
               
               walkPaths(fullPath, newRelativePath);
@@ -843,6 +2001,66 @@ module.exports = function(app) {
       return paths;
     }
 
+    // Context directories (<type>/<id>, e.g. vessels/urn_mrn_imo_mmsi_123456789) in the output directory
+    function listContextDirs(dataDir) {
+      const contextDirs = [];
+      const listDirs = (dir) => fs.readdirSync(dir)
+        .filter(item => !item.startsWith('.') && fs.statSync(path.join(dir, item)).isDirectory());
+      if (!fs.existsSync(dataDir)) return contextDirs;
+
+      listDirs(dataDir).forEach(type => {
+        listDirs(path.join(dataDir, type)).forEach(id => contextDirs.push(`${type}/${id}`));
+      });
+      return contextDirs;
+    }
+
+    // Paths recorded in any context, each with the contexts and path directories holding it
+    function getCatalogPaths(dataDir) {
+      const byPath = new Map();
+      listContextDirs(dataDir).forEach(contextPath => {
+        getAvailablePaths(dataDir, contextPath).forEach(pathInfo => {
+          if (!byPath.has(pathInfo.path)) {
+            byPath.set(pathInfo.path, { path: pathInfo.path, contexts: [], directories: [], formats: [], fileCount: 0 });
+          }
+          const entry = byPath.get(pathInfo.path);
+          entry.contexts.push(contextPath);
+          entry.directories.push(pathInfo.directory);
+          entry.formats = FORMATS.filter(format => entry.formats.includes(format) || pathInfo.formats.includes(format));
+          entry.fileCount += pathInfo.fileCount;
+        });
+      });
+      return Array.from(byPath.values());
+    }
+
+    // The sandboxed DuckDB database the query endpoints share, with a view per recorded
+    // path. It lives in its own directory, as DuckDB refuses to read below a directory
+    // holding its database file.
+    const getQueryCatalog = () => {
+      const dataDir = getDataDir();
+      const databaseDir = currentConfig?.queryDatabaseDirectory || path.join(app.getDataDirPath(), 'zennora-signalk-parquet-duckdb');
+      const databaseFile = path.join(databaseDir, 'catalog.duckdb');
+      if (!queryCatalog || queryCatalog.outputDirectory !== dataDir || queryCatalog.sandbox.databaseFile !== databaseFile) {
+        if (queryCatalog) {
+          queryCatalog.close();
+        }
+        queryCatalog = new QueryCatalog({
+          app: app,
+          // Read-only, limited to the output directory (Arrow copies live in its .tmp/)
+          sandbox: new QuerySandbox({
+            app: app,
+            directories: [dataDir],
+            databaseFile: databaseFile,
+            tempDirectory: path.join(databaseDir, 'tmp'),
+            limits: currentConfig?.queryLimits
+          }),
+          querySources: getQuerySources(),
+          findPaths: () => getCatalogPaths(dataDir),
+          getLayout: () => currentConfig?.partitionLayout
+        });
+      }
+      return queryCatalog;
+    };
+
     // Get available SignalK paths
     router.get('/api/paths', (_, res) => {
       try {
@@ -852,7 +2070,8 @@ module.exports = function(app) {
         res.json({
           success: true,
           dataDirectory: dataDir,
-          paths: paths
+          paths: paths,
+          resolvedPaths: Array.from(resolvedPaths.values())
         });
       } catch (error) {
         res.status(500).json({
@@ -877,25 +2096,33 @@ module.exports = function(app) {
           });
         }
         
-        const files = fs.readdirSync(pathDir)
-          .filter(file => file.endsWith('.parquet'))
-          .map(file => {
-            const filePath = path.join(pathDir, file);
+        const files = listPathFiles(pathDir, DATA_FILE_EXTENSIONS)
+          .map(filePath => {
             const stat = fs.statSync(filePath);
             return {
-              name: file,
+              name: path.basename(filePath),
               path: filePath,
+              format: getFileFormat(filePath),
+              partition: path.relative(pathDir, path.dirname(filePath)) || null,
               size: stat.size,
               modified: stat.mtime.toISOString()
             };
           })
           .sort((a, b) => new Date(b.modified) - new Date(a.modified));
+
+        // The file currently being appended to isn't readable until it closes
+        const openFile = rollingWriter
+          ? rollingWriter.getStatus().find(status => path.dirname(status.file) === pathDir) || null
+          : null;
         
         res.json({
           success: true,
           path: signalkPath,
           directory: pathDir,
-          files: files
+          filePattern: getPathGlob(pathDir, currentConfig?.partitionLayout),
+          meta: getPathMeta(pathDir),
+          files: files,
+          openFile: openFile
         });
       } catch (error) {
         res.status(500).json({
@@ -929,37 +2156,35 @@ module.exports = function(app) {
           });
         }
         
-        // Get the most recent parquet file
-        const files = fs.readdirSync(pathDir)
-          .filter(file => file.endsWith('.parquet'))
-          .map(file => {
-            const filePath = path.join(pathDir, file);
+        // Get the most recent data file
+        const files = listPathFiles(pathDir, DATA_FILE_EXTENSIONS)
+          .map(filePath => {
             const stat = fs.statSync(filePath);
-            return { name: file, path: filePath, modified: stat.mtime };
+            return { name: path.basename(filePath), path: filePath, modified: stat.mtime };
           })
           .sort((a, b) => b.modified - a.modified);
         
         if (files.length === 0) {
           return res.status(404).json({
             success: false,
-            error: `No parquet files found for path: ${signalkPath}`
+            error: `No data files found for path: ${signalkPath}`
           });
         }
         
         const sampleFile = files[0];
-        const query = `SELECT * FROM '${sampleFile.path}' LIMIT ${limit}`;
+        const query = `SELECT * FROM ${await getQuerySources().getFileSource(sampleFile.path)} LIMIT ${limit}`;
         
-        const instance = await DuckDBInstance.create();
-        const connection = await instance.connect();
+        const sandbox = getQueryCatalog().sandbox;
+        const connection = await sandbox.connect();
         try {
-          const reader = await connection.runAndReadAll(query);
+          const reader = await sandbox.runWithTimeout(connection, query);
           const rawData = reader.getRowObjects();
           
-          // Convert BigInt values to regular numbers for JSON serialization
+          // Convert BigInt and DuckDB timestamp values for JSON serialization
           const data = rawData.map(row => {
             const convertedRow = {};
             for (const [key, value] of Object.entries(row)) {
-              convertedRow[key] = typeof value === 'bigint' ? Number(value) : value;
+              convertedRow[key] = toJsonValue(value);
             }
             return convertedRow;
           });
@@ -971,6 +2196,7 @@ module.exports = function(app) {
             success: true,
             path: signalkPath,
             file: sampleFile.name,
+            meta: getPathMeta(pathDir),
             columns: columns,
             rowCount: data.length,
             data: data
@@ -992,6 +2218,137 @@ module.exports = function(app) {
       }
     });
 
+    // Values of a path between two times, raw or resampled into buckets, as JSON or CSV
+    router.get('/api/data/:path(*)', async (req, res) => {
+      try {
+        if (!DuckDBInstance) {
+          return res.status(503).json({
+            success: false,
+            error: 'DuckDB not available'
+          });
+        }
+
+        const signalkPath = req.params.path;
+        const context = req.query.context || 'vessels.self';
+        const agg = req.query.agg || 'mean';
+        const format = req.query.format || 'json';
+
+        if (!AGGREGATES[agg]) {
+          return res.status(400).json({
+            success: false,
+            error: `agg must be one of ${Object.keys(AGGREGATES).join(', ')}`
+          });
+        }
+        if (!['json', 'csv'].includes(format)) {
+          return res.status(400).json({
+            success: false,
+            error: 'format must be json or csv'
+          });
+        }
+
+        let from, to, bucketSeconds;
+        try {
+          to = req.query.to ? parseTime(req.query.to, 'to') : new Date();
+          from = req.query.from ? parseTime(req.query.from, 'from') : new Date(to.getTime() - 24 * 60 * 60 * 1000);
+          bucketSeconds = req.query.bucket ? parseBucket(req.query.bucket) : null;
+        } catch (error) {
+          return res.status(400).json({
+            success: false,
+            error: error.message
+          });
+        }
+        if (from >= to) {
+          return res.status(400).json({
+            success: false,
+            error: 'from must be before to'
+          });
+        }
+        if (bucketSeconds && (to - from) / 1000 / bucketSeconds > MAX_ROWS) {
+          return res.status(400).json({
+            success: false,
+            error: `More than ${MAX_ROWS} buckets between from and to; use a larger bucket`
+          });
+        }
+        const limit = Math.min(parseInt(req.query.limit) || MAX_ROWS, MAX_ROWS);
+
+        // Paths and contexts become directories, so they may not climb out of the output directory
+        const dataDir = getDataDir();
+        const pathDir = getPathDirectory({ outputDirectory: dataDir }, context, signalkPath);
+        const relative = path.relative(dataDir, pathDir);
+        if (/[\\/]/.test(signalkPath + context) || relative.startsWith('..') || path.isAbsolute(relative) || !fs.existsSync(pathDir)) {
+          return res.status(404).json({
+            success: false,
+            error: `Path not found: ${signalkPath} in ${context}`
+          });
+        }
+
+        // Raw and consolidated files of the days around the range, in any format
+        const files = filesInRange(listPathFiles(pathDir, DATA_FILE_EXTENSIONS), from, to);
+        const source = files.length > 0 ? await getQuerySources().getFilesSource(files) : null;
+        let columns = ['time'];
+        let data = [];
+        let truncated = false;
+
+        if (source) {
+          const sandbox = getQueryCatalog().sandbox;
+          const connection = await sandbox.connect();
+          try {
+            const described = (await sandbox.runWithTimeout(connection, `DESCRIBE SELECT * FROM ${source}`)).getRowObjects();
+            const valueColumns = getValueColumns(described, bucketSeconds ? agg : null);
+            if (valueColumns.length === 0) {
+              return res.status(400).json({
+                success: false,
+                error: bucketSeconds ? `${signalkPath} has no numeric values to aggregate with ${agg}; use agg=last` : `${signalkPath} has no value columns`
+              });
+            }
+
+            // One row past the limit tells whether there were more
+            const query = buildDataQuery(source, valueColumns, { from, to, bucketSeconds, agg, limit: limit + 1 });
+            const rawData = (await sandbox.runWithTimeout(connection, query)).getRowObjects();
+            truncated = rawData.length > limit;
+            data = rawData.slice(0, limit).map(row => {
+              const convertedRow = {};
+              for (const [key, value] of Object.entries(row)) {
+                convertedRow[key] = toJsonValue(value);
+              }
+              return convertedRow;
+            });
+            columns = ['time', ...valueColumns, ...(bucketSeconds ? ['samples'] : [])];
+          } finally {
+            connection.disconnectSync();
+          }
+        }
+
+        if (format === 'csv') {
+          res.set('Content-Type', 'text/csv');
+          res.set('Content-Disposition', `attachment; filename="${signalkPath}.csv"`);
+          return res.send(toCsv(data, columns));
+        }
+
+        res.json({
+          success: true,
+          path: signalkPath,
+          context: context,
+          from: from.toISOString(),
+          to: to.toISOString(),
+          bucket: bucketSeconds ? req.query.bucket : null,
+          agg: bucketSeconds ? agg : null,
+          meta: getPathMeta(pathDir),
+          fileCount: files.length,
+          columns: columns,
+          rowCount: data.length,
+          truncated: truncated,
+          data: data
+        });
+      } catch (error) {
+        app.debug('Error reading path data:', error);
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
     // Query parquet data
     router.post('/api/query', async (req, res) => {
       try {
@@ -1015,39 +2372,46 @@ module.exports = function(app) {
         
         // Replace placeholder paths in query with actual file paths
         let processedQuery = query;
+        const meta = {}; // SignalK meta of the paths the query reads through the shorthand
         
         // Find all quoted paths in the query that might be SignalK paths
         const pathMatches = query.match(/'([^']+)'/g);
         if (pathMatches) {
-          pathMatches.forEach(match => {
+          const selfContextPath = app.selfContext.replace(/\./g, '/').replace(/:/g, '_');
+          for (const match of pathMatches) {
             const quotedPath = match.slice(1, -1); // Remove quotes
             
-            // If it looks like a SignalK path, convert to file path
-            const selfContextPath = app.selfContext.replace(/\./g, '/').replace(/:/g, '_');
-            if (quotedPath.includes(`/${selfContextPath}/`) || quotedPath.includes('.parquet')) {
+            if (quotedPath.endsWith('.arrow')) {
+              // DuckDB can't read Arrow files itself; read their Parquet copy
+              processedQuery = processedQuery.replace(match, await getQuerySources().getFileSource(quotedPath));
+            } else if (quotedPath.includes(`/${selfContextPath}/`) || DATA_FILE_EXTENSIONS.some(extension => quotedPath.endsWith(extension))) {
               // It's already a file path, use as is
-              return;
+              continue;
             } else if (quotedPath.includes('.') && !quotedPath.includes('/')) {
-              // It's a SignalK path, convert to file path
-              const filePath = path.join(dataDir, selfContextPath, quotedPath.replace(/\./g, '/'), '*.parquet');
-              processedQuery = processedQuery.replace(match, `'${filePath}'`);
+              // It's a SignalK path: read all of its files (and date partitions), whatever their format
+              const pathDir = path.join(dataDir, selfContextPath, quotedPath.replace(/\./g, '/'));
+              const source = await getQuerySources().getPathSource(pathDir, currentConfig?.partitionLayout);
+              processedQuery = processedQuery.replace(match, source);
+              const pathMeta = getPathMeta(pathDir);
+              if (pathMeta) {
+                meta[quotedPath] = pathMeta;
+              }
             }
-          });
+          }
         }
         
         console.log('Executing query:', processedQuery);
         
-        const instance = await DuckDBInstance.create();
-        const connection = await instance.connect();
+        // Read-only, limited to the output directory, with the path views of the catalog
+        const catalog = getQueryCatalog();
         try {
-          const reader = await connection.runAndReadAll(processedQuery);
-          const rawData = reader.getRowObjects();
+          const result = await catalog.run(processedQuery);
           
-          // Convert BigInt values to regular numbers for JSON serialization
-          const data = rawData.map(row => {
+          // Convert BigInt and DuckDB timestamp values for JSON serialization
+          const data = result.rows.map(row => {
             const convertedRow = {};
             for (const [key, value] of Object.entries(row)) {
-              convertedRow[key] = typeof value === 'bigint' ? Number(value) : value;
+              convertedRow[key] = toJsonValue(value);
             }
             return convertedRow;
           });
@@ -1056,6 +2420,9 @@ module.exports = function(app) {
             success: true,
             query: processedQuery,
             rowCount: data.length,
+            truncated: result.truncated,
+            maxRows: catalog.sandbox.limits.maxRows,
+            meta: meta,
             data: data
           });
         } catch (err) {
@@ -1064,10 +2431,355 @@ module.exports = function(app) {
             success: false,
             error: err.message
           });
+        }
+        
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Views of the query database, one per recorded path, with their columns for autocomplete
+    router.get('/api/catalog', async (_, res) => {
+      try {
+        if (!DuckDBInstance) {
+          return res.status(503).json({
+            success: false,
+            error: 'DuckDB not available'
+          });
+        }
+
+        const views = await getQueryCatalog().list();
+        res.json({
+          success: true,
+          viewCount: views.length,
+          views: views
+        });
+      } catch (error) {
+        app.debug('Error listing query views:', error);
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Get active regimens and whether each regimen-controlled path is recording
+    router.get('/api/regimens', (_, res) => {
+      try {
+        const paths = (currentConfig?.paths || [])
+          .filter(pathConfig => pathConfig && pathConfig.path && !pathConfig.path.startsWith('commands.'))
+          .map(pathConfig => {
+            if (pathConfig.enabled) {
+              return { path: pathConfig.path, regimen: pathConfig.regimen || null, recording: true, blockedBy: null };
+            }
+            if (!pathConfig.regimen) {
+              return { path: pathConfig.path, regimen: null, recording: false, blockedBy: 'not enabled and no regimen' };
+            }
+            return { path: pathConfig.path, regimen: pathConfig.regimen, ...evaluatePathRegimen(pathConfig) };
+          });
+
+        res.json({
+          success: true,
+          activeRegimens: Array.from(activeRegimens),
+          rules: regimenRuleEngine ? regimenRuleEngine.getStatus() : [],
+          paths: paths
+        });
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Get the current subscription set (for debugging)
+    router.get('/api/subscriptions', (_, res) => {
+      try {
+        const data = Array.from(dataSubscriptions.values()).map(subscription => ({
+          context: subscription.context,
+          ...subscription.subscribeEntry,
+          reason: subscription.reason,
+          since: subscription.since
+        }));
+
+        res.json({
+          success: true,
+          commands: commandSubscription ? commandSubscription.paths.map(pathConfig => pathConfig.path) : [],
+          data: data,
+          subscribedPaths: Array.from(subscribedPaths)
+        });
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Get compression ratios of the Parquet files of each path
+    router.get('/api/compression', async (_, res) => {
+      try {
+        if (!DuckDBInstance) {
+          return res.status(503).json({
+            success: false,
+            error: 'DuckDB not available'
+          });
+        }
+
+        const availablePaths = getAvailablePaths(getDataDir());
+        const sandbox = getQueryCatalog().sandbox;
+        const connection = await sandbox.connect();
+        const paths = [];
+        let totalCompressed = 0;
+        let totalUncompressed = 0;
+
+        try {
+          // Only Parquet files have footers to read; paths in other formats are left out
+          for (const pathInfo of availablePaths.filter(pathInfo => pathInfo.formats.includes('parquet'))) {
+            const reader = await sandbox.runWithTimeout(connection, `
+              SELECT compression, count(DISTINCT file_name) AS files,
+                     sum(total_compressed_size) AS compressed, sum(total_uncompressed_size) AS uncompressed
+              FROM parquet_metadata('${pathInfo.filePattern.replace(/'/g, "''")}')
+              GROUP BY compression
+            `);
+            const rows = reader.getRowObjects();
+            const compressed = rows.reduce((sum, row) => sum + Number(row.compressed), 0);
+            const uncompressed = rows.reduce((sum, row) => sum + Number(row.uncompressed), 0);
+            totalCompressed += compressed;
+            totalUncompressed += uncompressed;
+
+            paths.push({
+              path: pathInfo.path,
+              fileCount: pathInfo.fileCount,
+              codecs: rows.map(row => row.compression),
+              compressedBytes: compressed,
+              uncompressedBytes: uncompressed,
+              ratio: compressed > 0 ? Math.round(uncompressed / compressed * 100) / 100 : null,
+              settings: parquetWriter ? parquetWriter.getEncodingSettings(pathInfo.path) : null
+            });
+          }
         } finally {
           connection.disconnectSync();
         }
-        
+
+        res.json({
+          success: true,
+          compressedBytes: totalCompressed,
+          uncompressedBytes: totalUncompressed,
+          ratio: totalCompressed > 0 ? Math.round(totalUncompressed / totalCompressed * 100) / 100 : null,
+          paths: paths
+        });
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Get the registry of AIS targets seen through wildcard contexts
+    router.get('/api/targets', (_, res) => {
+      try {
+        if (!targetRegistry) {
+          return res.status(500).json({
+            success: false,
+            error: 'Plugin not started or configuration not available'
+          });
+        }
+
+        const targets = targetRegistry.list();
+        res.json({
+          success: true,
+          registryFile: targetRegistry.registryFile,
+          count: targets.length,
+          targets: targets
+        });
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Disk space guard state: free space, quota use, what is paused or refused and why
+    router.get('/api/storage', (_, res) => {
+      try {
+        if (!storageGuard) {
+          return res.status(500).json({
+            success: false,
+            error: 'Plugin not started'
+          });
+        }
+
+        res.json({
+          success: true,
+          status: storageGuard.describe(storageGuard.state),
+          ...storageGuard.state
+        });
+      } catch (error) {
+        app.debug('Error reading storage state:', error);
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Retention dry-run report: which files the retention job would remove
+    router.get('/api/retention/report', async (_, res) => {
+      try {
+        if (!currentConfig) {
+          return res.status(500).json({
+            success: false,
+            error: 'Plugin not started or configuration not available'
+          });
+        }
+
+        const report = await retentionManager.run(currentConfig, { dryRun: true });
+        res.json({
+          success: true,
+          ...report
+        });
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Run the retention job now
+    router.post('/api/retention/run', async (_, res) => {
+      try {
+        if (!currentConfig) {
+          return res.status(500).json({
+            success: false,
+            error: 'Plugin not started or configuration not available'
+          });
+        }
+
+        const result = await retentionManager.run(currentConfig);
+        res.json({
+          success: true,
+          ...result
+        });
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Recovery dry-run report: which failed files would be converted and where their records go
+    router.get('/api/recovery/report', async (_, res) => {
+      try {
+        if (!currentConfig) {
+          return res.status(500).json({
+            success: false,
+            error: 'Plugin not started or configuration not available'
+          });
+        }
+
+        const report = await failedFileRecovery.run(currentConfig, { dryRun: true });
+        res.json({
+          success: true,
+          ...report
+        });
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Convert the failed files to Parquet now
+    router.post('/api/recovery/run', async (_, res) => {
+      try {
+        if (!currentConfig) {
+          return res.status(500).json({
+            success: false,
+            error: 'Plugin not started or configuration not available'
+          });
+        }
+
+        const result = await failedFileRecovery.run(currentConfig);
+        res.json({
+          success: true,
+          ...result
+        });
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Which days are consolidated, and which still have files waiting
+    router.get('/api/consolidate/status', async (req, res) => {
+      try {
+        if (!currentConfig) {
+          return res.status(500).json({
+            success: false,
+            error: 'Plugin not started or configuration not available'
+          });
+        }
+
+        const days = await parquetWriter.getConsolidationStatus(currentConfig.outputDirectory, {
+          from: req.query.from,
+          to: req.query.to,
+          pathFilter: req.query.path
+        });
+        res.json({
+          success: true,
+          days: days
+        });
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Consolidate past days now, optionally limited to a date range and a path pattern
+    router.post('/api/consolidate', async (req, res) => {
+      try {
+        if (!currentConfig) {
+          return res.status(500).json({
+            success: false,
+            error: 'Plugin not started or configuration not available'
+          });
+        }
+
+        const { from, to, path: pathFilter } = req.body || {};
+        const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+        if ((from && !datePattern.test(from)) || (to && !datePattern.test(to))) {
+          return res.status(400).json({
+            success: false,
+            error: 'from and to must be dates in YYYY-MM-DD format'
+          });
+        }
+
+        const today = new Date().toISOString().split('T')[0];
+        if (to && to >= today) {
+          return res.status(400).json({
+            success: false,
+            error: 'Only past days can be consolidated; today is still being recorded'
+          });
+        }
+
+        const results = await consolidatePastDays(currentConfig, { from, to, pathFilter });
+        res.json({
+          success: results.every(result => !result.error && result.errors.length === 0),
+          days: results
+        });
       } catch (error) {
         res.status(500).json({
           success: false,
@@ -1147,11 +2859,12 @@ module.exports = function(app) {
       try {
         const newPath = req.body;
         
-        // Validate required fields
-        if (!newPath.path) {
+        // Validate required fields and sampling settings
+        const validationError = validatePathConfig(newPath);
+        if (validationError) {
           return res.status(400).json({
             success: false,
-            error: 'Path is required'
+            error: validationError
           });
         }
 
@@ -1197,11 +2910,12 @@ module.exports = function(app) {
           });
         }
 
-        // Validate required fields
-        if (!updatedPath.path) {
+        // Validate required fields and sampling settings
+        const validationError = validatePathConfig(updatedPath);
+        if (validationError) {
           return res.status(400).json({
             success: false,
-            error: 'Path is required'
+            error: validationError
           });
         }
 
@@ -0,0 +1,114 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { normalizeLayout, getPartitionSegments, isPartitionDir } = require('./partition-layout');
+const { DATA_FILE_EXTENSIONS } = require('./file-formats');
+
+// Date of a data file from its name (YYYY-MM-DD or YYYYMMDD), else its modification time
+function getFileDate(filename, stat) {
+  const match = filename.match(/(\d{4})-?(\d{2})-?(\d{2})/);
+  if (match) {
+    const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+    if (!isNaN(date.getTime())) return date;
+  }
+  return stat.mtime;
+}
+
+// A free name in the target directory, adding _1, _2... before the extension
+async function getFreeTarget(targetDir, filename) {
+  const ext = path.extname(filename);
+  const base = filename.slice(0, filename.length - ext.length);
+  let candidate = filename;
+  for (let n = 1; await fs.pathExists(path.join(targetDir, candidate)); n++) {
+    candidate = `${base}_${n}${ext}`;
+  }
+  return path.join(targetDir, candidate);
+}
+
+async function removeEmptyPartitionDirs(dir) {
+  for (const item of await fs.readdir(dir)) {
+    const itemPath = path.join(dir, item);
+    if ((await fs.stat(itemPath)).isDirectory()) {
+      await removeEmptyPartitionDirs(itemPath);
+      if (isPartitionDir(item) && (await fs.readdir(itemPath)).length === 0) {
+        await fs.remove(itemPath);
+      }
+    }
+  }
+}
+
+// Move every data file of an output directory into the given layout ('none', 'date'
+// or 'year-month-day'). Works from any mix of layouts, keeps source partitions,
+// keeps processed/ and failed/ files in the same place relative to their partition,
+// and never overwrites. Run it while the plugin is stopped.
+async function migrateLayout(outputDirectory, layout, options = {}) {
+  const targetLayout = normalizeLayout(layout);
+  const dryRun = Boolean(options.dryRun);
+  const log = options.log || (() => {});
+  const result = { layout: targetLayout, dryRun, moved: 0, unchanged: 0, errors: [], moves: [] };
+
+  if (!(await fs.pathExists(outputDirectory))) {
+    throw new Error(`Output directory not found: ${outputDirectory}`);
+  }
+
+  const walkDir = async (dir) => {
+    for (const item of await fs.readdir(dir)) {
+      const itemPath = path.join(dir, item);
+      const stat = await fs.stat(itemPath);
+
+      if (stat.isDirectory()) {
+        // Skip the write-ahead log and other internal directories
+        if (!item.startsWith('.')) {
+          await walkDir(itemPath);
+        }
+        continue;
+      }
+
+      // The _meta.json catalog stays in the path directory
+      if (item.startsWith('_') || !DATA_FILE_EXTENSIONS.includes(path.extname(item))) continue;
+
+      const parts = path.relative(outputDirectory, dir).split(path.sep).filter(Boolean);
+      const subdir = ['processed', 'failed'].includes(parts[parts.length - 1]) ? parts.pop() : null;
+      const pathParts = parts.filter(part => !isPartitionDir(part));
+      const sourcePart = parts.find(part => part.startsWith('source_ref=') && isPartitionDir(part));
+
+      // Data lives in <context type>/<context id>/<signalk path>; leave anything else (e.g. registry/) alone
+      if (pathParts.length < 3) continue;
+
+      const targetDir = path.join(
+        outputDirectory,
+        ...pathParts,
+        ...(sourcePart ? [sourcePart] : []),
+        ...getPartitionSegments(targetLayout, getFileDate(item, stat)),
+        ...(subdir ? [subdir] : [])
+      );
+
+      if (path.resolve(targetDir) === path.resolve(dir)) {
+        result.unchanged++;
+        continue;
+      }
+
+      try {
+        const target = await getFreeTarget(targetDir, item);
+        if (!dryRun) {
+          await fs.move(itemPath, target, { overwrite: false });
+        }
+        result.moved++;
+        result.moves.push({ from: itemPath, to: target });
+        log(`${dryRun ? 'Would move' : 'Moved'} ${itemPath} -> ${target}`);
+      } catch (error) {
+        result.errors.push({ file: itemPath, error: error.message });
+        log(`Error moving ${itemPath}: ${error.message}`);
+      }
+    }
+  };
+
+  await walkDir(outputDirectory);
+
+  if (!dryRun) {
+    await removeEmptyPartitionDirs(outputDirectory);
+  }
+
+  return result;
+}
+
+module.exports = { migrateLayout };
@@ -1,5 +1,8 @@
 const fs = require('fs-extra');
 const path = require('path');
+const { isPartitionDir, partitionMatchesDate, stripPartitionDirs, listPathFiles } = require('./partition-layout');
+const { findPathConfig, matchesPath } = require('./path-pattern');
+const { DATA_FILE_EXTENSIONS, getFileExtension, getPathFormat } = require('./file-formats');
 
 // Try to import ParquetJS, fall back if not available
 let parquet;
@@ -9,20 +12,363 @@ try {
   parquet = null;
 }
 
+// DuckDB writes the codecs and encodings parquetjs can't
+let DuckDBInstance;
+try {
+  DuckDBInstance = require('@duckdb/node-api').DuckDBInstance;
+} catch (error) {
+  DuckDBInstance = null;
+}
+
+// Arrow IPC (Feather) files are optional
+let arrow;
+try {
+  arrow = require('apache-arrow');
+} catch (error) {
+  arrow = null;
+}
+
+const PARQUETJS_CODECS = ['UNCOMPRESSED', 'SNAPPY', 'GZIP', 'BROTLI'];
+const COMPRESSION_CODECS = [...PARQUETJS_CODECS, 'ZSTD'];
+
+// Records that agree on these columns are the same sample stored twice (e.g. by a
+// resubscription or overlapping flushes). Object values are compared through value_json.
+const DUPLICATE_KEY_COLUMNS = ['context', 'path', 'signalk_timestamp', 'source_label', 'value', 'value_json'];
+const DUPLICATE_POLICIES = ['first', 'last', 'all'];
+
+// Memory and threads DuckDB may use for streaming consolidation, so the nightly run
+// leaves room for the server (sorts beyond the memory limit spill to disk)
+const DEFAULT_CONSOLIDATION_LIMITS = {
+  memoryLimitMB: 256,
+  threads: 1
+};
+
+// Column types as other writers (DuckDB) declare them, mapped to the types this writer uses
+const EQUIVALENT_TYPES = {
+  TIMESTAMP_MICROS: 'TIMESTAMP_MILLIS',
+  INT_64: 'INT64',
+  INT_32: 'INT32'
+};
+
 // For now, we'll use a simple CSV/JSON approach until parquet-wasm is properly integrated
 // This maintains compatibility with your existing data analysis tools
 
+// Columns every SignalK record has, with fixed types. `value` and the flattened
+// `value_*` columns are inferred from the data (see inferSchemaFields).
+const BASE_SCHEMA_FIELDS = {
+  received_timestamp: { type: 'TIMESTAMP_MILLIS', optional: true },
+  signalk_timestamp: { type: 'TIMESTAMP_MILLIS', optional: true },
+  context: { type: 'UTF8', optional: true },
+  path: { type: 'UTF8', optional: true },
+  value_json: { type: 'UTF8', optional: true },
+  source: { type: 'UTF8', optional: true },
+  source_label: { type: 'UTF8', optional: true },
+  source_type: { type: 'UTF8', optional: true },
+  source_pgn: { type: 'INT64', optional: true },
+  source_src: { type: 'UTF8', optional: true }
+};
+
+// Columns of files from earlier versions that new files leave out. `meta` was always
+// empty once meta moved to one catalog per path (see path-metadata.js).
+const RETIRED_COLUMNS = ['meta'];
+
+// Convert a record value to the given Parquet column type, returning null when it can't be represented
+function convertValue(value, type) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  switch (type) {
+    case 'TIMESTAMP_MILLIS': {
+      const date = value instanceof Date ? value : new Date(typeof value === 'bigint' ? Number(value) : value);
+      return isNaN(date.getTime()) ? null : date;
+    }
+    case 'DOUBLE':
+    case 'FLOAT': {
+      const num = Number(value);
+      return typeof value === 'boolean' || !isFinite(num) ? null : num;
+    }
+    case 'INT64':
+    case 'INT32': {
+      if (typeof value === 'bigint') return value;
+      const num = Number(value);
+      return Number.isFinite(num) ? Math.trunc(num) : null;
+    }
+    case 'BOOLEAN':
+      if (typeof value === 'boolean') return value;
+      if (value === 'true' || value === 1) return true;
+      if (value === 'false' || value === 0) return false;
+      return null;
+    default:
+      if (value instanceof Date) return value.toISOString();
+      if (typeof value === 'object') return JSON.stringify(value);
+      return String(value);
+  }
+}
+
+// Arrow column type for a Parquet column type
+function toArrowType(type) {
+  switch (type) {
+    case 'TIMESTAMP_MILLIS': return new arrow.TimestampMillisecond();
+    case 'DOUBLE': return new arrow.Float64();
+    case 'FLOAT': return new arrow.Float32();
+    case 'INT64': return new arrow.Int64();
+    case 'INT32': return new arrow.Int32();
+    case 'BOOLEAN': return new arrow.Bool();
+    default: return new arrow.Utf8();
+  }
+}
+
+// Parquet column type for an Arrow column type
+function fromArrowType(type) {
+  if (arrow.DataType.isTimestamp(type)) return 'TIMESTAMP_MILLIS';
+  if (arrow.DataType.isFloat(type)) return type.precision === arrow.Precision.SINGLE ? 'FLOAT' : 'DOUBLE';
+  if (arrow.DataType.isInt(type)) return type.bitWidth === 64 ? 'INT64' : 'INT32';
+  if (arrow.DataType.isBool(type)) return 'BOOLEAN';
+  return 'UTF8';
+}
+
+// A value converted by convertValue, in the form Arrow vectors of its type take
+function toArrowValue(value, type) {
+  if (value === null) return null;
+  switch (type) {
+    case 'TIMESTAMP_MILLIS': return value.getTime();
+    case 'INT64': return BigInt(value);
+    case 'INT32': return Number(value);
+    default: return value;
+  }
+}
+
+// JSON.stringify can't write BigInt (INT64 columns read back from Parquet)
+function jsonReplacer(key, value) {
+  return typeof value === 'bigint' ? Number(value) : value;
+}
+
+// Milliseconds for a record's received/signalk timestamp, whether it's a string or a Date
+function recordTime(record) {
+  const time = record.received_timestamp || record.signalk_timestamp;
+  if (!time) return 0;
+  const ms = time instanceof Date ? time.getTime() : new Date(time).getTime();
+  return isNaN(ms) ? 0 : ms;
+}
+
+// Identity of a record for duplicate detection, alike for records read from JSON, CSV and Parquet
+function duplicateKey(record) {
+  return JSON.stringify(DUPLICATE_KEY_COLUMNS.map(column => {
+    const value = record[column];
+    if (value === null || value === undefined || value === '') return null;
+    if (column === 'signalk_timestamp') return new Date(value instanceof Date ? value : String(value)).getTime();
+    return typeof value === 'bigint' ? Number(value) : value;
+  }));
+}
+
+// Drop repeated records from a time-sorted list, keeping the first or last copy of each
+function removeDuplicates(records, policy) {
+  if (policy === 'all') return records;
+
+  const kept = new Map(); // duplicate key -> index of the copy kept
+  records.forEach((record, index) => {
+    const key = duplicateKey(record);
+    if (!kept.has(key) || policy === 'last') {
+      kept.set(key, index);
+    }
+  });
+  return Array.from(kept.values()).sort((a, b) => a - b).map(index => records[index]);
+}
+
+function normalizeDuplicatePolicy(policy) {
+  return DUPLICATE_POLICIES.includes(policy) ? policy : 'first';
+}
+
+// Effective limits from the plugin's Consolidation Limits settings
+function getConsolidationLimits(limits = {}) {
+  const positive = (value, fallback) => Number(value) > 0 ? Number(value) : fallback;
+  return {
+    memoryLimitMB: positive(limits.memoryLimitMB, DEFAULT_CONSOLIDATION_LIMITS.memoryLimitMB),
+    threads: Math.floor(positive(limits.threads, DEFAULT_CONSOLIDATION_LIMITS.threads))
+  };
+}
+
+// SQL string literal for DuckDB queries
+function sqlString(text) {
+  return `'${String(text).replace(/'/g, "''")}'`;
+}
+
+// Split CSV text into rows of fields, handling quoted fields with commas, quotes and line breaks
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+// Restore the type of a CSV field: CSV files hold only text, and `value` columns
+// were written with String()
+function parseCSVField(column, text) {
+  if (text === '') return null;
+  if (BASE_SCHEMA_FIELDS[column]) return text; // Converted to the column type when written
+  if (/^-?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(text)) return Number(text);
+  if (text === 'true' || text === 'false') return text === 'true';
+  if (text === '[object Object]') return null; // Objects are kept in value_json
+  return text;
+}
+
 class ParquetWriter {
   constructor(options = {}) {
-    this.format = options.format || 'json'; // 'json', 'csv', or 'parquet'
+    this.format = options.format || 'json'; // Default format (see file-formats.js); path configs can override it
     this.app = options.app; // SignalK app instance for logging
+    this.schemaCache = new Map(); // Stable Parquet schema fields by path directory
+    this.untypedColumns = new Map(); // Path directory -> columns typed UTF8 while they only held nulls
+    this.parquetOptions = options.parquetOptions || {}; // Compression, dictionary encoding, row-group size and per-path overrides
+    this.pathMetadata = options.pathMetadata; // PathMetadata whose catalogs are embedded in Parquet files
+  }
+
+  static isAvailable() {
+    return Boolean(parquet);
+  }
+
+  // The format a path's files are actually written in: Parquet falls back to JSON
+  // without parquetjs, Arrow to NDJSON without apache-arrow
+  static resolveFormat(format) {
+    if (format === 'parquet' && !parquet) return 'json';
+    if (format === 'arrow' && !arrow) return 'ndjson';
+    return format;
+  }
+
+  // Compression, dictionary encoding and row-group size for a SignalK path: the
+  // plugin-wide settings with the most specific path override applied on top
+  getEncodingSettings(signalkPath) {
+    const override = signalkPath ? findPathConfig(this.parquetOptions.pathOverrides || [], signalkPath) : null;
+    const pick = key => override && override[key] !== undefined && override[key] !== '' ? override[key] : this.parquetOptions[key];
+
+    const compression = String(pick('compression') || 'SNAPPY').toUpperCase();
+    return {
+      compression: COMPRESSION_CODECS.includes(compression) ? compression : 'SNAPPY',
+      dictionaryEncoding: pick('dictionaryEncoding') === true,
+      rowGroupSize: Math.max(0, Math.floor(Number(pick('rowGroupSize')) || 0))
+    };
+  }
+
+  // parquetjs can't write ZSTD or dictionary pages, so files that need them are
+  // written uncompressed and then rewritten by DuckDB
+  needsRewrite(settings) {
+    return Boolean(DuckDBInstance) && (settings.compression === 'ZSTD' || settings.dictionaryEncoding);
+  }
+
+  // The codec parquetjs writes with (ZSTD without DuckDB falls back to GZIP)
+  getWriterCodec(settings) {
+    if (this.needsRewrite(settings)) return 'UNCOMPRESSED';
+    return PARQUETJS_CODECS.includes(settings.compression) ? settings.compression : 'GZIP';
+  }
+
+  createWriterSchema(schemaFields, settings) {
+    const codec = this.getWriterCodec(settings);
+    const fields = {};
+    for (const [colName, field] of Object.entries(schemaFields)) {
+      fields[colName] = { ...field, compression: codec };
+    }
+    return new parquet.ParquetSchema(fields);
   }
 
-  async writeRecords(filepath, records) {
+  // Key-value metadata for a Parquet file: the SignalK meta of its path, if known
+  getFileMetadata(filepath) {
+    return (this.pathMetadata && this.pathMetadata.getFileMetadata(filepath)) || {};
+  }
+
+  // Add key-value metadata to a parquetjs writer before it is closed
+  applyFileMetadata(writer, metadata) {
+    for (const [key, value] of Object.entries(metadata)) {
+      writer.setMetadata(key, value);
+    }
+  }
+
+  // DuckDB COPY options writing Parquet with the given encoding settings and key-value metadata
+  getCopyOptions(settings, metadata = {}) {
+    const options = ['FORMAT PARQUET', `COMPRESSION ${settings.compression}`];
+    if (settings.rowGroupSize > 0) {
+      options.push(`ROW_GROUP_SIZE ${settings.rowGroupSize}`);
+    }
+    if (!settings.dictionaryEncoding) {
+      options.push('DICTIONARY_SIZE_LIMIT 0');
+    }
+    const entries = Object.entries(metadata);
+    if (entries.length > 0) {
+      options.push(`KV_METADATA {${entries.map(([key, value]) => `${key}: ${sqlString(value)}`).join(', ')}}`);
+    }
+    return options.join(', ');
+  }
+
+  // Move a file parquetjs has closed to its final name, rewriting it with DuckDB
+  // on the way when its settings need that (DuckDB doesn't copy key-value metadata,
+  // so `metadata` is written again)
+  async finishFile(sourcePath, targetPath, settings, metadata = {}) {
+    if (this.needsRewrite(settings)) {
+      const rewritePath = `${targetPath}.rewrite`;
+      try {
+        const instance = await DuckDBInstance.create();
+        const connection = await instance.connect();
+        try {
+          await connection.run(`COPY (SELECT * FROM read_parquet(${sqlString(sourcePath)}, hive_partitioning = false)) TO ${sqlString(rewritePath)} (${this.getCopyOptions(settings, metadata)})`);
+        } finally {
+          connection.disconnectSync();
+        }
+
+        await fs.move(rewritePath, targetPath, { overwrite: true });
+        if (sourcePath !== targetPath) {
+          await fs.remove(sourcePath);
+        }
+        return targetPath;
+      } catch (error) {
+        this.app && this.app.debug(`⚠️ Rewriting ${targetPath} with ${settings.compression} failed, keeping it uncompressed:`, error.message);
+        await fs.remove(rewritePath);
+      }
+    }
+
+    if (sourcePath !== targetPath) {
+      await fs.move(sourcePath, targetPath, { overwrite: false });
+    }
+    return targetPath;
+  }
+
+  // Write records in the given format (the writer's default format if none is given)
+  async writeRecords(filepath, records, format = this.format) {
     try {
       await fs.ensureDir(path.dirname(filepath));
       
-      switch (this.format) {
+      switch (format) {
         case 'json':
           await this.writeJSON(filepath, records);
           break;
@@ -32,8 +378,14 @@ class ParquetWriter {
         case 'parquet':
           await this.writeParquet(filepath, records);
           break;
+        case 'ndjson':
+          await this.writeNDJSON(filepath, records);
+          break;
+        case 'arrow':
+          await this.writeArrow(filepath, records);
+          break;
         default:
-          throw new Error(`Unsupported format: ${this.format}`);
+          throw new Error(`Unsupported format: ${format}`);
       }
       
       return filepath;
@@ -48,6 +400,42 @@ class ParquetWriter {
     return jsonPath;
   }
 
+  // Append records to a file as newline-delimited JSON, one record per line, so
+  // later saves can add to the same file
+  async writeNDJSON(filepath, records) {
+    if (records.length === 0) return filepath;
+
+    const lines = records.map(record => JSON.stringify(record, jsonReplacer));
+    await fs.appendFile(filepath, lines.join('\n') + '\n');
+    return filepath;
+  }
+
+  // Write records to an Arrow IPC file (Feather v2) with the path's stable schema,
+  // the same column types its Parquet files get. The file is written under a
+  // temporary name and renamed, so readers never see it half written.
+  async writeArrow(filepath, records) {
+    if (records.length === 0) return filepath;
+    if (!arrow) {
+      throw new Error('Arrow writing is not available (apache-arrow is not installed)');
+    }
+
+    const schemaFields = await this.getPathSchemaFields(filepath, records);
+    const columns = {};
+    for (const [colName, field] of Object.entries(schemaFields)) {
+      const values = records.map(record => toArrowValue(this.convertField(record[colName], colName, field), field.type));
+      columns[colName] = arrow.vectorFromArray(values, toArrowType(field.type));
+    }
+
+    const tempPath = `${filepath}.inprogress`;
+    try {
+      await fs.writeFile(tempPath, arrow.tableToIPC(new arrow.Table(columns), 'file'));
+      await fs.move(tempPath, filepath, { overwrite: true });
+    } finally {
+      await fs.remove(tempPath);
+    }
+    return filepath;
+  }
+
   async writeCSV(filepath, records) {
     if (records.length === 0) return;
     
@@ -91,73 +479,7 @@ class ParquetWriter {
         return this.writeJSON(filepath, records);
       }
 
-      this.app && this.app.debug(`Attempting to write ${records.length} records to Parquet`);
-      this.app && this.app.debug('Sample record keys:', Object.keys(records[0]));
-      this.app && this.app.debug('Sample record:', JSON.stringify(records[0], null, 2));
-
-      // Define schema based on SignalK data structure
-      const schemaFields = {
-        received_timestamp: { type: 'UTF8', optional: true },
-        signalk_timestamp: { type: 'UTF8', optional: true },
-        context: { type: 'UTF8', optional: true },
-        path: { type: 'UTF8', optional: true },
-        value: { type: 'UTF8', optional: true },  // Store as string for flexibility
-        value_json: { type: 'UTF8', optional: true },
-        source: { type: 'UTF8', optional: true },
-        source_label: { type: 'UTF8', optional: true },
-        source_type: { type: 'UTF8', optional: true },
-        source_pgn: { type: 'UTF8', optional: true },
-        source_src: { type: 'UTF8', optional: true },
-        meta: { type: 'UTF8', optional: true }
-      };
-
-      // Add any additional fields from the actual data
-      const allKeys = new Set();
-      records.forEach(record => {
-        Object.keys(record).forEach(key => allKeys.add(key));
-      });
-
-      allKeys.forEach(key => {
-        if (!schemaFields[key]) {
-          schemaFields[key] = { type: 'UTF8', optional: true };
-        }
-      });
-
-      const schema = new parquet.ParquetSchema(schemaFields);
-      this.app && this.app.debug(`Creating Parquet schema with ${Object.keys(schemaFields).length} fields:`, Object.keys(schemaFields));
-      
-      // Create Parquet writer
-      const writer = await parquet.ParquetWriter.openFile(schema, filepath);
-      this.app && this.app.debug('Parquet writer created successfully');
-      
-      // Write records to Parquet file
-      for (let i = 0; i < records.length; i++) {
-        const record = records[i];
-        const cleanRecord = {};
-        
-        // Ensure all schema fields are present and properly formatted
-        Object.keys(schemaFields).forEach(fieldName => {
-          const value = record[fieldName];
-          if (value === null || value === undefined) {
-            cleanRecord[fieldName] = null;
-          } else if (typeof value === 'object') {
-            cleanRecord[fieldName] = JSON.stringify(value);
-          } else {
-            cleanRecord[fieldName] = String(value);
-          }
-        });
-        
-        this.app && this.app.debug(`Writing record ${i + 1}/${records.length}`);
-        await writer.appendRow(cleanRecord);
-      }
-      
-      // Close the writer
-      this.app && this.app.debug('Closing Parquet writer...');
-      await writer.close();
-      
-      this.app && this.app.debug(`✅ Successfully wrote ${records.length} records to Parquet: ${filepath}`);
-      return filepath;
-      
+      return await this.writeParquetFile(filepath, records);
     } catch (error) {
       this.app && this.app.debug('❌ Parquet writing failed:', error.message);
       this.app && this.app.debug('Error stack:', error.stack);
@@ -168,7 +490,7 @@ class ParquetWriter {
       const failedPath = path.join(failedDir, path.basename(filepath).replace('.parquet', '_FAILED.json'));
       
       this.app && this.app.debug(`💾 Saving failed Parquet data as JSON to: ${failedPath}`);
-      this.app && this.app.debug('⚠️  This data will need manual conversion to maintain DuckDB schema consistency');
+      this.app && this.app.debug('⚠️  The recovery job converts it to Parquet at the next start or daily consolidation');
       
       await this.writeJSON(failedPath, records);
       
@@ -177,12 +499,123 @@ class ParquetWriter {
     }
   }
 
-  // Create Parquet schema based on sample records
-  createParquetSchema(records) {
-    if (!parquet || records.length === 0) {
-      throw new Error('Cannot create Parquet schema');
+  // Write records to a Parquet file with the path's schema and encoding settings
+  // (or `options.schemaFields`, when the types are already known). Throws on failure.
+  async writeParquetFile(filepath, records, options = {}) {
+    this.app && this.app.debug(`Attempting to write ${records.length} records to Parquet`);
+
+    // Use the path's stable schema so every file of a path has the same column types
+    const schemaFields = options.schemaFields || await this.getPathSchemaFields(filepath, records);
+    const settings = this.getEncodingSettings(records[0].path);
+    const schema = this.createWriterSchema(schemaFields, settings);
+    const metadata = this.getFileMetadata(filepath);
+    this.app && this.app.debug(`Creating Parquet schema with ${Object.keys(schemaFields).length} fields:`, Object.keys(schemaFields));
+    
+    // Create Parquet writer
+    const writer = await parquet.ParquetWriter.openFile(schema, filepath);
+    if (settings.rowGroupSize > 0) {
+      writer.setRowGroupSize(settings.rowGroupSize);
+    }
+    this.app && this.app.debug(`Parquet writer created successfully (${settings.compression})`);
+    
+    // Write records to Parquet file, converting each value to its column type
+    for (const record of records) {
+      await writer.appendRow(this.prepareRecordForParquet(record, schemaFields));
+    }
+    
+    // Close the writer
+    this.app && this.app.debug('Closing Parquet writer...');
+    this.applyFileMetadata(writer, metadata);
+    await writer.close();
+    await this.finishFile(filepath, filepath, settings, metadata);
+    
+    this.app && this.app.debug(`✅ Successfully wrote ${records.length} records to Parquet: ${filepath}`);
+    return filepath;
+  }
+
+
+  // Get the schema fields for the path directory a file belongs to. The first write
+  // for a directory adopts the schema of its newest typed Parquet file (so restarts
+  // keep the same types); after that columns are only added, and only retyped once
+  // a column that held nothing but nulls gets its first values. A changed schema is
+  // a new object, so writes already using the old one keep their types.
+  async getPathSchemaFields(filepath, records) {
+    const pathDir = stripPartitionDirs(path.dirname(filepath));
+    let schemaFields = this.schemaCache.get(pathDir);
+
+    if (!schemaFields) {
+      schemaFields = await this.readExistingSchemaFields(pathDir) || { ...BASE_SCHEMA_FIELDS };
+      this.schemaCache.set(pathDir, schemaFields);
+    }
+
+    const untyped = this.untypedColumns.get(pathDir) || new Set();
+    const inferredFields = this.inferSchemaFields(records);
+    const changes = {};
+    for (const [colName, field] of Object.entries(inferredFields)) {
+      const hasValues = records.some(record => record[colName] !== null && record[colName] !== undefined);
+      if (!schemaFields[colName]) {
+        changes[colName] = field;
+        if (!hasValues) untyped.add(colName);
+      } else if (hasValues && untyped.has(colName)) {
+        untyped.delete(colName);
+        if (field.type !== schemaFields[colName].type) {
+          changes[colName] = field;
+          this.app && this.app.debug(`📐 Typing ${colName} as ${field.type} now that it has values`);
+        }
+      }
     }
+    this.untypedColumns.set(pathDir, untyped);
 
+    if (Object.keys(changes).length > 0) {
+      schemaFields = { ...schemaFields, ...changes };
+      this.schemaCache.set(pathDir, schemaFields);
+    }
+
+    return schemaFields;
+  }
+
+  // Read the schema of the newest Parquet file in a path directory written with typed columns
+  async readExistingSchemaFields(pathDir) {
+    if (!parquet || !(await fs.pathExists(pathDir))) {
+      return null;
+    }
+
+    const candidates = [];
+    for (const filePath of listPathFiles(pathDir)) {
+      const stat = await fs.stat(filePath);
+      candidates.push({ filePath, modified: stat.mtimeMs });
+    }
+    candidates.sort((a, b) => b.modified - a.modified);
+
+    for (const candidate of candidates) {
+      try {
+        const reader = await parquet.ParquetReader.openFile(candidate.filePath);
+        const fields = reader.getSchema().fields;
+        await reader.close();
+
+        // Files from before typed columns stored timestamps as UTF8 - don't inherit that
+        if (!fields.received_timestamp || !['TIMESTAMP_MILLIS', 'TIMESTAMP_MICROS'].includes(fields.received_timestamp.originalType)) {
+          continue;
+        }
+
+        const schemaFields = {};
+        for (const [colName, field] of Object.entries(fields)) {
+          if (RETIRED_COLUMNS.includes(colName)) continue;
+          const type = field.originalType || field.primitiveType;
+          schemaFields[colName] = { type: EQUIVALENT_TYPES[type] || type, optional: true };
+        }
+        this.app && this.app.debug(`📐 Using existing schema from ${candidate.filePath}`);
+        return schemaFields;
+      } catch (error) {
+        this.app && this.app.debug(`Could not read schema from ${candidate.filePath}:`, error.message);
+      }
+    }
+
+    return null;
+  }
+
+  // Infer Parquet field types for the columns in a set of records
+  inferSchemaFields(records) {
     // Get all unique column names from all records
     const allColumns = new Set();
     records.forEach(record => {
@@ -194,25 +627,27 @@ class ParquetWriter {
 
     // Analyze each column to determine the best Parquet type
     columns.forEach(colName => {
+      if (BASE_SCHEMA_FIELDS[colName]) {
+        schemaFields[colName] = BASE_SCHEMA_FIELDS[colName];
+        return;
+      }
+
       const values = records.map(r => r[colName]).filter(v => v !== null && v !== undefined);
       
       if (values.length === 0) {
-        // All null values, default to string
+        // All null values, default to string (getPathSchemaFields retypes it once values arrive)
         schemaFields[colName] = { type: 'UTF8', optional: true };
         return;
       }
 
-      const hasNumbers = values.some(v => typeof v === 'number');
-      const hasStrings = values.some(v => typeof v === 'string');
+      const hasNumbers = values.some(v => typeof v === 'number' || typeof v === 'bigint');
+      const hasStrings = values.some(v => typeof v !== 'number' && typeof v !== 'bigint' && typeof v !== 'boolean');
       const hasBooleans = values.some(v => typeof v === 'boolean');
       
       if (hasNumbers && !hasStrings && !hasBooleans) {
-        // All numbers - check if integers or floats
-        const allIntegers = values.every(v => Number.isInteger(v));
-        schemaFields[colName] = { 
-          type: allIntegers ? 'INT64' : 'DOUBLE', 
-          optional: true 
-        };
+        // SignalK numbers are floats - a buffer that happens to hold only whole
+        // numbers must not turn the column into INT64 for this path
+        schemaFields[colName] = { type: 'DOUBLE', optional: true };
       } else if (hasBooleans && !hasNumbers && !hasStrings) {
         schemaFields[colName] = { type: 'BOOLEAN', optional: true };
       } else {
@@ -221,120 +656,472 @@ class ParquetWriter {
       }
     });
 
-    return new parquet.ParquetSchema(schemaFields);
+    return schemaFields;
   }
 
-  // Prepare a record for Parquet writing (type conversion)
-  prepareRecordForParquet(record) {
+  // Create Parquet schema based on sample records
+  createParquetSchema(records) {
+    if (!parquet || records.length === 0) {
+      throw new Error('Cannot create Parquet schema');
+    }
+
+    return new parquet.ParquetSchema(this.inferSchemaFields(records));
+  }
+
+  // Prepare a record for Parquet writing (type conversion to the schema's column types)
+  prepareRecordForParquet(record, schemaFields) {
     const prepared = {};
     
-    // Get all fields from the record (ParquetJS schema handling)
-    for (const [fieldName, value] of Object.entries(record)) {
-      if (value === null || value === undefined) {
-        prepared[fieldName] = null;
-      } else if (typeof value === 'object') {
-        // Convert complex objects to JSON strings
-        prepared[fieldName] = JSON.stringify(value);
-      } else {
-        prepared[fieldName] = value;
-      }
+    for (const [fieldName, field] of Object.entries(schemaFields)) {
+      prepared[fieldName] = this.convertField(record[fieldName], fieldName, field);
     }
 
     return prepared;
   }
 
-  // Merge multiple files (for daily consolidation like Python version)
-  async mergeFiles(sourceFiles, targetFile) {
+  // A value converted to its column's type. One that doesn't fit is written as null.
+  convertField(value, colName, field) {
+    const converted = convertValue(value, field.type);
+    if (converted === null && value !== null && value !== undefined) {
+      this.app && this.app.debug(`⚠️ ${colName} value ${String(value)} doesn't fit its ${field.type} column, writing null`);
+    }
+    return converted;
+  }
+
+  // Merge multiple files (for daily consolidation like Python version). Holds all
+  // records in memory; consolidateFiles streams instead when DuckDB is available.
+  // `options.duplicates` keeps the 'first' (default) or 'last' copy of repeated
+  // records, or 'all'; `options.format` is the target's format (default: the
+  // writer's). Resolves to the record and removed duplicate counts.
+  async mergeFiles(sourceFiles, targetFile, options = {}) {
+    const format = options.format || this.format;
     try {
-      const allRecords = [];
+      let allRecords = [];
       
       for (const sourceFile of sourceFiles) {
         if (await fs.pathExists(sourceFile)) {
-          const ext = path.extname(sourceFile).toLowerCase();
-          
-          if (ext === '.json') {
-            const records = await fs.readJson(sourceFile);
-            allRecords.push(...(Array.isArray(records) ? records : [records]));
-          } else if (ext === '.parquet') {
-            // Read Parquet file
-            if (parquet) {
-              try {
-                const reader = await parquet.ParquetReader.openFile(sourceFile);
-                const cursor = reader.getCursor();
-                let record = null;
-                while (record = await cursor.next()) {
-                  allRecords.push(record);
-                }
-                await reader.close();
-              } catch (parquetError) {
-                this.app && this.app.debug(`Failed to read Parquet file ${sourceFile}:`, parquetError.message);
-              }
-            }
-          } else if (ext === '.csv') {
-            // Could implement CSV reading if needed
-            this.app && this.app.debug(`CSV merging not implemented for ${sourceFile}`);
+          try {
+            allRecords.push(...(await this.readRecords(sourceFile)));
+          } catch (readError) {
+            if (path.extname(sourceFile).toLowerCase() !== '.parquet') throw readError;
+            this.app && this.app.debug(`Failed to read Parquet file ${sourceFile}:`, readError.message);
           }
         }
       }
       
       if (allRecords.length > 0) {
         // Sort by timestamp
-        allRecords.sort((a, b) => {
-          const timeA = a.received_timestamp || a.signalk_timestamp || '';
-          const timeB = b.received_timestamp || b.signalk_timestamp || '';
-          return timeA.localeCompare(timeB);
-        });
+        allRecords.sort((a, b) => recordTime(a) - recordTime(b));
+        const readCount = allRecords.length;
+        allRecords = removeDuplicates(allRecords, normalizeDuplicatePolicy(options.duplicates));
         
-        await this.writeRecords(targetFile, allRecords);
-        return allRecords.length;
+        // Write next to the target and rename, so the target is never half written
+        // (and NDJSON isn't appended to the consolidated file it was read from)
+        const tempFile = `${targetFile}.inprogress`;
+        try {
+          if (format === 'parquet' && parquet) {
+            await this.writeParquetFile(tempFile, allRecords);
+          } else {
+            await this.writeRecords(tempFile, allRecords, format);
+          }
+          await fs.move(tempFile, targetFile, { overwrite: true });
+        } finally {
+          await fs.remove(tempFile);
+        }
+        return { records: allRecords.length, duplicates: readCount - allRecords.length };
       }
       
-      return 0;
+      return { records: 0, duplicates: 0 };
     } catch (error) {
       throw new Error(`Failed to merge files: ${error.message}`);
     }
   }
 
-  // Daily file consolidation (matching Python behavior)
-  async consolidateDaily(dataDir, date, filenamePrefix = 'signalk_data') {
+  // Can consolidation stream through DuckDB (consolidateFiles) instead of merging in memory?
+  canStreamConsolidation(format = this.format) {
+    return format === 'parquet' && Boolean(parquet) && Boolean(DuckDBInstance);
+  }
+
+  // Merge files into one Parquet file sorted by time without loading their records:
+  // DuckDB reads the sources, drops duplicates (`options.duplicates`, as in mergeFiles)
+  // and sorts them (spilling to `options.tempDirectory` beyond the memory limit of
+  // `options.limits`, which also caps the threads) into a temporary file, which is renamed over the target only after its row count matches
+  // the sources. CSV, JSON, NDJSON, Arrow and Parquet files from before typed columns are first
+  // converted to typed Parquet one file at a time. Throws if a source can't be read or
+  // the counts differ; the sources are never modified.
+  async consolidateFiles(sourceFiles, targetFile, options = {}) {
+    const settings = this.getEncodingSettings(options.signalkPath);
+    const duplicates = normalizeDuplicatePolicy(options.duplicates);
+    const tempFile = `${targetFile}.inprogress`;
+    const stagedFiles = [];
+    const instance = await DuckDBInstance.create();
+    const connection = await instance.connect();
+    const readFiles = files => `read_parquet([${files.map(sqlString).join(', ')}], union_by_name = true, hive_partitioning = false)`;
+
+    const countRows = async (files) => {
+      const reader = await connection.runAndReadAll(`SELECT count(*) AS row_count FROM ${readFiles(files)}`);
+      return Number(reader.getRowObjects()[0].row_count);
+    };
+
     try {
-      const dateStr = date.toISOString().split('T')[0]; // YYYY-MM-DD
-      const consolidatedFiles = [];
-      
-      // Walk through all topic directories
-      const walkDir = async (dir) => {
-        const items = await fs.readdir(dir);
-        
-        for (const item of items) {
-          const itemPath = path.join(dir, item);
-          const stat = await fs.stat(itemPath);
-          
-          if (stat.isDirectory()) {
+      const limits = getConsolidationLimits(options.limits);
+      await connection.run(`SET memory_limit = '${limits.memoryLimitMB}MB'`);
+      await connection.run(`SET threads = ${limits.threads}`);
+      if (options.tempDirectory) {
+        await fs.ensureDir(options.tempDirectory);
+        await connection.run(`SET temp_directory = ${sqlString(options.tempDirectory)}`);
+      }
+
+      const typedFiles = [];
+      let stagedRows = 0;
+      for (const sourceFile of sourceFiles) {
+        if (!(await fs.pathExists(sourceFile))) continue;
+
+        if (path.extname(sourceFile).toLowerCase() === '.parquet') {
+          const reader = await connection.runAndReadAll(`DESCRIBE SELECT * FROM read_parquet(${sqlString(sourceFile)}, hive_partitioning = false)`);
+          const timestampColumn = reader.getRowObjects().find(column => column.column_name === 'received_timestamp');
+          if (timestampColumn && String(timestampColumn.column_type).startsWith('TIMESTAMP')) {
+            typedFiles.push(sourceFile);
+            continue;
+          }
+        }
+
+        const records = await this.readRecords(sourceFile);
+        if (records.length === 0) continue;
+        const stagedFile = `${targetFile}.${stagedFiles.length + 1}.inprogress`;
+        stagedFiles.push(stagedFile);
+        await this.writeParquetFile(stagedFile, records);
+        stagedRows += records.length;
+      }
+
+      const inputs = [...typedFiles, ...stagedFiles];
+      if (inputs.length === 0) return { records: 0, duplicates: 0 };
+
+      const sourceRows = (typedFiles.length > 0 ? await countRows(typedFiles) : 0) + stagedRows;
+      if (sourceRows === 0) return { records: 0, duplicates: 0 };
+
+      // Rank the copies of each sample by arrival and keep one of them
+      const described = await connection.runAndReadAll(`DESCRIBE SELECT * FROM ${readFiles(inputs)}`);
+      const columns = described.getRowObjects().map(column => column.column_name);
+      const retired = RETIRED_COLUMNS.filter(column => columns.includes(column));
+      const exclude = ['duplicate_rank', ...retired].join(', ');
+      let select = retired.length > 0
+        ? `SELECT * EXCLUDE (${retired.join(', ')}) FROM ${readFiles(inputs)}`
+        : `SELECT * FROM ${readFiles(inputs)}`;
+      let expectedRows = sourceRows;
+      if (duplicates !== 'all') {
+        const keyColumns = DUPLICATE_KEY_COLUMNS.filter(column => columns.includes(column)).join(', ');
+        const order = duplicates === 'last' ? 'DESC' : 'ASC';
+
+        const unique = await connection.runAndReadAll(`SELECT count(*) AS row_count FROM (SELECT DISTINCT ${keyColumns} FROM ${readFiles(inputs)})`);
+        expectedRows = Number(unique.getRowObjects()[0].row_count);
+        select = `SELECT * EXCLUDE (${exclude}) FROM (
+          SELECT *, row_number() OVER (PARTITION BY ${keyColumns} ORDER BY received_timestamp ${order}) AS duplicate_rank
+          FROM ${readFiles(inputs)}
+        ) WHERE duplicate_rank = 1`;
+      }
+
+      await connection.run(`COPY (
+        ${select}
+        ORDER BY coalesce(received_timestamp, signalk_timestamp)
+      ) TO ${sqlString(tempFile)} (${this.getCopyOptions(settings, this.getFileMetadata(targetFile))})`);
+
+      const writtenRows = await countRows([tempFile]);
+      if (writtenRows !== expectedRows) {
+        throw new Error(`${tempFile} has ${writtenRows} rows, expected ${expectedRows}`);
+      }
+
+      await fs.move(tempFile, targetFile, { overwrite: true });
+      return { records: writtenRows, duplicates: sourceRows - writtenRows };
+    } finally {
+      connection.disconnectSync();
+      await fs.remove(tempFile);
+      for (const stagedFile of stagedFiles) {
+        await fs.remove(stagedFile);
+      }
+    }
+  }
+
+  // Read every record of a data file in any of the plugin's formats, without retired columns
+  async readRecords(filePath) {
+    const records = await this.readFileRecords(filePath);
+    records.forEach(record => RETIRED_COLUMNS.forEach(column => delete record[column]));
+    return records;
+  }
+
+  async readFileRecords(filePath) {
+    switch (path.extname(filePath).toLowerCase()) {
+      case '.json': {
+        const records = await fs.readJson(filePath);
+        return Array.isArray(records) ? records : [records];
+      }
+      case '.ndjson':
+        return this.readNDJSONRecords(filePath);
+      case '.arrow':
+        return (await this.readArrowFile(filePath)).records;
+      case '.csv':
+        return this.readCSVRecords(filePath);
+      case '.parquet':
+        return this.readParquetRecords(filePath);
+      default:
+        throw new Error(`Unsupported data file: ${filePath}`);
+    }
+  }
+
+  // Read the records of an NDJSON file. A last line cut short by a crash is skipped.
+  async readNDJSONRecords(filePath) {
+    const lines = (await fs.readFile(filePath, 'utf8')).split('\n').filter(line => line.trim() !== '');
+    const records = [];
+    lines.forEach((line, index) => {
+      try {
+        records.push(JSON.parse(line));
+      } catch (error) {
+        if (index < lines.length - 1) throw new Error(`${filePath} line ${index + 1}: ${error.message}`);
+        this.app && this.app.debug(`Skipping incomplete last line of ${filePath}`);
+      }
+    });
+    return records;
+  }
+
+  // Read an Arrow IPC file: its records (timestamps as Dates) and its columns as
+  // Parquet schema fields
+  async readArrowFile(filePath) {
+    if (!arrow) {
+      throw new Error('Arrow reading is not available (apache-arrow is not installed)');
+    }
+
+    const table = arrow.tableFromIPC(await fs.readFile(filePath));
+    const schemaFields = {};
+    table.schema.fields.forEach(field => {
+      schemaFields[field.name] = { type: fromArrowType(field.type), optional: true };
+    });
+
+    const records = table.toArray().map(row => {
+      const record = row.toJSON();
+      for (const [colName, field] of Object.entries(schemaFields)) {
+        const value = record[colName];
+        if (value === null || value === undefined) continue;
+        if (field.type === 'TIMESTAMP_MILLIS') {
+          record[colName] = new Date(Number(value));
+        } else if (typeof value === 'bigint' && Number.isSafeInteger(Number(value))) {
+          record[colName] = Number(value);
+        }
+      }
+      return record;
+    });
+    return { records, schemaFields };
+  }
+
+  // Convert an Arrow file to a Parquet file with the same column types, so DuckDB
+  // (which can't read Arrow IPC without its arrow extension) can query it.
+  // Resolves to false for an empty file.
+  async convertArrowToParquet(arrowFile, parquetFile) {
+    const { records, schemaFields } = await this.readArrowFile(arrowFile);
+    if (records.length === 0) return false;
+
+    await fs.ensureDir(path.dirname(parquetFile));
+    await this.writeParquetFile(parquetFile, records, { schemaFields });
+    return true;
+  }
+
+  // Read the records of a CSV file written by writeCSV
+  async readCSVRecords(filePath) {
+    const rows = parseCSV(await fs.readFile(filePath, 'utf8'));
+    if (rows.length === 0) return [];
+
+    const headers = rows[0];
+    return rows.slice(1)
+      .filter(row => row.length > 1 || row[0] !== '')
+      .map(row => {
+        const record = {};
+        headers.forEach((header, index) => {
+          record[header] = parseCSVField(header, row[index] === undefined ? '' : row[index]);
+        });
+        return record;
+      });
+  }
+
+  // Read every record of a Parquet file. parquetjs can't decompress ZSTD, so files
+  // it can't read are read through DuckDB.
+  async readParquetRecords(filePath) {
+    if (parquet) {
+      try {
+        const records = [];
+        const reader = await parquet.ParquetReader.openFile(filePath);
+        const cursor = reader.getCursor();
+        let record = null;
+        while ((record = await cursor.next())) {
+          records.push(record);
+        }
+        await reader.close();
+        return records;
+      } catch (error) {
+        if (!DuckDBInstance) throw error;
+      }
+    }
+
+    if (!DuckDBInstance) {
+      throw new Error('No Parquet reader available');
+    }
+
+    const instance = await DuckDBInstance.create();
+    const connection = await instance.connect();
+    try {
+      const reader = await connection.runAndReadAll(`SELECT * FROM read_parquet(${sqlString(filePath)}, hive_partitioning = false)`);
+      return reader.getRowObjectsJS();
+    } finally {
+      connection.disconnectSync();
+    }
+  }
+
+  // Walk the data tree and list data files with the SignalK path and UTC day they
+  // belong to. processed/, failed/, internal directories (.wal) and files still
+  // being written are skipped. Options: `dateStr` (YYYY-MM-DD) limits the walk to
+  // one day, `pathFilter` to SignalK paths matching a pattern.
+  async scanDataFiles(dataDir, options = {}) {
+    const { dateStr, pathFilter } = options;
+    const files = [];
+    if (!(await fs.pathExists(dataDir))) return files;
+
+    const walkDir = async (dir) => {
+      const items = await fs.readdir(dir);
+
+      for (const item of items) {
+        const itemPath = path.join(dir, item);
+        const stat = await fs.stat(itemPath);
+
+        if (stat.isDirectory()) {
+          if (item === 'processed' || item === 'failed' || item.startsWith('.')) continue;
+          // Only the partition of the day can hold its files
+          if (!dateStr || !isPartitionDir(item) || partitionMatchesDate(item, dateStr)) {
             await walkDir(itemPath);
-          } else if (item.includes(dateStr) && !item.includes('_consolidated')) {
-            // This is a file for our target date
-            const topicDir = path.dirname(itemPath);
-            const consolidatedFile = path.join(topicDir, `${filenamePrefix}_${dateStr}_consolidated.parquet`);
-            
-            if (!consolidatedFiles.find(f => f.target === consolidatedFile)) {
-              consolidatedFiles.push({
-                target: consolidatedFile,
-                sources: []
-              });
-            }
-            
-            const entry = consolidatedFiles.find(f => f.target === consolidatedFile);
-            entry.sources.push(itemPath);
           }
+          continue;
         }
+
+        if (!DATA_FILE_EXTENSIONS.includes(path.extname(item))) continue;
+        const dateMatch = item.match(/(\d{4}-\d{2}-\d{2})/);
+        if (!dateMatch || (dateStr && dateMatch[1] !== dateStr)) continue;
+
+        // Directory layout is <context type>/<context id>/<signalk path segments>[/<date partitions>]
+        const signalkPath = path.relative(dataDir, dir).split(path.sep).slice(2).filter(part => !isPartitionDir(part)).join('.');
+        if (!signalkPath || (pathFilter && !matchesPath(pathFilter, signalkPath))) continue;
+
+        files.push({
+          file: itemPath,
+          dir: dir,
+          signalkPath: signalkPath,
+          date: dateMatch[1],
+          consolidated: item.includes('_consolidated')
+        });
+      }
+    };
+
+    await walkDir(dataDir);
+    return files;
+  }
+
+  // Days (YYYY-MM-DD) before `beforeDateStr` that still have files waiting for consolidation
+  async findUnconsolidatedDates(dataDir, beforeDateStr, pathFilter) {
+    const files = await this.scanDataFiles(dataDir, { pathFilter });
+    const dates = new Set(files.filter(entry => !entry.consolidated && entry.date < beforeDateStr).map(entry => entry.date));
+    return Array.from(dates).sort();
+  }
+
+  // Per day, the path directories with a consolidated file and those with files
+  // still waiting for consolidation. Days from today on are still being recorded.
+  async getConsolidationStatus(dataDir, options = {}) {
+    const today = new Date().toISOString().split('T')[0];
+    const files = await this.scanDataFiles(dataDir, { pathFilter: options.pathFilter });
+    const days = new Map();
+
+    files.forEach(entry => {
+      if ((options.from && entry.date < options.from) || (options.to && entry.date > options.to)) return;
+      if (!days.has(entry.date)) {
+        days.set(entry.date, { consolidated: new Set(), pending: new Map() });
+      }
+      const day = days.get(entry.date);
+      const pathDir = path.relative(dataDir, stripPartitionDirs(entry.dir));
+      if (entry.consolidated) {
+        day.consolidated.add(pathDir);
+      } else {
+        day.pending.set(pathDir, (day.pending.get(pathDir) || 0) + 1);
+      }
+    });
+
+    return Array.from(days.keys()).sort().reverse().map(date => {
+      const day = days.get(date);
+      let status = 'consolidated';
+      if (date >= today) {
+        status = 'recording';
+      } else if (day.pending.size > 0) {
+        status = day.consolidated.size > 0 ? 'partial' : 'pending';
+      }
+      return {
+        date,
+        status,
+        consolidatedPaths: day.consolidated.size,
+        pendingPaths: Array.from(day.pending.keys()).sort(),
+        pendingFiles: Array.from(day.pending.values()).reduce((sum, count) => sum + count, 0)
       };
-      
-      await walkDir(dataDir);
-      
+    });
+  }
+
+  // Daily file consolidation (matching Python behavior). Merges a day's files of each
+  // path directory into <prefix>_<date>_consolidated.<ext> in the path's format and
+  // moves them to processed/. Running it again for a day merges late files (e.g.
+  // recovered ones) into the existing consolidated file. Options: `pathFilter`, the
+  // `duplicates` policy, DuckDB's `limits` and `pathConfigs`, whose `duplicates` and
+  // `format` fields override the policy and the writer's format per path.
+  async consolidateDaily(dataDir, date, filenamePrefix = 'signalk_data', options = {}) {
+    try {
+      const dateStr = date.toISOString().split('T')[0]; // YYYY-MM-DD
+      const files = await this.scanDataFiles(dataDir, { dateStr, pathFilter: options.pathFilter });
+      const consolidatedFiles = new Map(); // target -> { target, signalkPath, format, duplicates, sources, existing }
+
+      files.forEach(entry => {
+        const pathConfig = findPathConfig(options.pathConfigs || [], entry.signalkPath);
+        const format = ParquetWriter.resolveFormat(getPathFormat(pathConfig, this.format));
+        const target = path.join(entry.dir, `${filenamePrefix}_${dateStr}_consolidated${getFileExtension(format)}`);
+        if (!consolidatedFiles.has(target)) {
+          consolidatedFiles.set(target, {
+            target,
+            signalkPath: entry.signalkPath,
+            format,
+            duplicates: (pathConfig && pathConfig.duplicates) || options.duplicates,
+            sources: [],
+            existing: false
+          });
+        }
+        const group = consolidatedFiles.get(target);
+        if (entry.file === target) {
+          group.existing = true;
+        } else if (!entry.consolidated) {
+          group.sources.push(entry.file);
+        }
+      });
+
+      const result = { date: dateStr, directories: 0, files: 0, records: 0, duplicates: 0, errors: [] };
+      const tempDirectory = path.join(dataDir, '.tmp');
+
       // Consolidate each topic's files
-      for (const entry of consolidatedFiles) {
-        const recordCount = await this.mergeFiles(entry.sources, entry.target);
-        this.app && this.app.debug(`Consolidated ${entry.sources.length} files into ${entry.target} (${recordCount} records)`);
+      for (const entry of consolidatedFiles.values()) {
+        if (entry.sources.length === 0) continue;
+
+        const mergeSources = entry.existing ? [entry.target, ...entry.sources] : entry.sources;
+        const duplicates = entry.duplicates;
+        let merged;
+        try {
+          merged = this.canStreamConsolidation(entry.format)
+            ? await this.consolidateFiles(mergeSources, entry.target, { signalkPath: entry.signalkPath, tempDirectory, duplicates, limits: options.limits })
+            : await this.mergeFiles(mergeSources, entry.target, { duplicates, format: entry.format });
+        } catch (error) {
+          // Leave the sources in place for the next run
+          this.app && this.app.debug(`❌ Could not consolidate ${entry.target}:`, error.message);
+          result.errors.push({ file: entry.target, error: error.message });
+          continue;
+        }
+        this.app && this.app.debug(`Consolidated ${entry.sources.length} files into ${entry.target} (${merged.records} records, ${merged.duplicates} duplicates removed)`);
         
         // Move source files to processed folder
         const processedDir = path.join(path.dirname(entry.target), 'processed');
@@ -343,15 +1130,21 @@ class ParquetWriter {
         for (const sourceFile of entry.sources) {
           const basename = path.basename(sourceFile);
           const processedFile = path.join(processedDir, basename);
-          await fs.move(sourceFile, processedFile);
+          await fs.move(sourceFile, processedFile, { overwrite: true });
         }
+
+        result.directories++;
+        result.files += entry.sources.length;
+        result.records += merged.records;
+        result.duplicates += merged.duplicates;
       }
       
-      return consolidatedFiles.length;
+      return result;
     } catch (error) {
       throw new Error(`Failed to consolidate daily files: ${error.message}`);
     }
   }
+
 }
 
 module.exports = ParquetWriter;
\ No newline at end of file
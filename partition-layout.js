@@ -0,0 +1,148 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// Hive-style date partitions below each path directory, so DuckDB can skip whole
+// days instead of opening every file of a path:
+//
+//   none             <path>/signalk_data_2025-07-02T1200.parquet
+//   date             <path>/date=2025-07-02/signalk_data_2025-07-02T1200.parquet
+//   year-month-day   <path>/year=2025/month=07/day=02/signalk_data_2025-07-02T1200.parquet
+//
+// Dates are UTC, like the file names and daily consolidation. Paths recorded with
+// partitionBySource add a source directory in front of the date partitions:
+//
+//   <path>/source_ref=gps1.GP/date=2025-07-02/signalk_data_2025-07-02T1200.parquet
+
+const LAYOUTS = ['none', 'date', 'year-month-day'];
+const PARTITION_DIR_PATTERN = /^(year|month|day|date|source_ref)=[^/\\]+$/;
+
+function normalizeLayout(layout) {
+  return LAYOUTS.includes(layout) ? layout : 'none';
+}
+
+// Partition directory names for a point in time
+function getPartitionSegments(layout, time) {
+  const date = new Date(time);
+  const when = isNaN(date.getTime()) ? new Date() : date;
+  const [year, month, day] = when.toISOString().split('T')[0].split('-');
+
+  switch (normalizeLayout(layout)) {
+    case 'date':
+      return [`date=${year}-${month}-${day}`];
+    case 'year-month-day':
+      return [`year=${year}`, `month=${month}`, `day=${day}`];
+    default:
+      return [];
+  }
+}
+
+// Partition directory name for a $source
+function getSourcePartition(sourceRef) {
+  return `source_ref=${String(sourceRef || 'unknown').replace(/[/\\:*?"<>|=\s]/g, '_')}`;
+}
+
+// The source partition directory a file directory is in, or null
+function findSourcePartition(dirPath) {
+  let current = dirPath;
+  while (isPartitionDir(path.basename(current))) {
+    if (path.basename(current).startsWith('source_ref=')) return path.basename(current);
+    current = path.dirname(current);
+  }
+  return null;
+}
+
+function isPartitionDir(name) {
+  return PARTITION_DIR_PATTERN.test(name);
+}
+
+// Could a partition directory hold files of the given day (YYYY-MM-DD)? Used to
+// prune the walk when looking for one day's files.
+function partitionMatchesDate(name, dateStr) {
+  const [key, value] = name.split('=');
+  const [year, month, day] = dateStr.split('-');
+  switch (key) {
+    case 'date': return value === dateStr;
+    case 'year': return value === year;
+    case 'month': return value === month;
+    case 'day': return value === day;
+    default: return true;
+  }
+}
+
+// The path directory a file directory belongs to, without its partition directories
+function stripPartitionDirs(dirPath) {
+  let current = dirPath;
+  while (isPartitionDir(path.basename(current))) {
+    current = path.dirname(current);
+  }
+  return current;
+}
+
+// Data files of a path directory, including those in its partition directories
+// (but not processed/, failed/ or the _meta.json catalog). `extensions` is one
+// extension or a list of them.
+function listPathFiles(pathDir, extensions = '.parquet') {
+  const files = [];
+  if (!fs.existsSync(pathDir)) return files;
+
+  const wanted = Array.isArray(extensions) ? extensions : [extensions];
+  fs.readdirSync(pathDir).forEach(item => {
+    const itemPath = path.join(pathDir, item);
+    const stat = fs.statSync(itemPath);
+    if (stat.isDirectory()) {
+      if (isPartitionDir(item)) {
+        files.push(...listPathFiles(itemPath, wanted));
+      }
+    } else if (!item.startsWith('_') && wanted.some(extension => item.endsWith(extension))) {
+      files.push(itemPath);
+    }
+  });
+  return files;
+}
+
+// DuckDB glob for the Parquet files (or files with another extension) of a path
+// directory, following the layout found on disk (or the configured one when the
+// directory doesn't exist yet)
+function getPathGlob(pathDir, layout, extension = '.parquet') {
+  // Source partitions come first; the date layout is read from one of them
+  if (fs.existsSync(pathDir)) {
+    const sourceDir = fs.readdirSync(pathDir).find(item => item.startsWith('source_ref=') && isPartitionDir(item));
+    if (sourceDir) {
+      return path.join(pathDir, 'source_ref=*', path.relative(path.join(pathDir, sourceDir), getPathGlob(path.join(pathDir, sourceDir), layout, extension)));
+    }
+  }
+
+  let found = normalizeLayout(layout);
+  if (fs.existsSync(pathDir)) {
+    const items = fs.readdirSync(pathDir);
+    if (items.some(item => item.startsWith('year=') && isPartitionDir(item))) {
+      found = 'year-month-day';
+    } else if (items.some(item => item.startsWith('date=') && isPartitionDir(item))) {
+      found = 'date';
+    } else {
+      found = 'none';
+    }
+  }
+
+  switch (found) {
+    case 'date':
+      return path.join(pathDir, 'date=*', `*${extension}`);
+    case 'year-month-day':
+      return path.join(pathDir, 'year=*', 'month=*', 'day=*', `*${extension}`);
+    default:
+      return path.join(pathDir, `*${extension}`);
+  }
+}
+
+module.exports = {
+  LAYOUTS,
+  normalizeLayout,
+  getPartitionSegments,
+  getSourcePartition,
+  findSourcePartition,
+  isPartitionDir,
+  partitionMatchesDate,
+  stripPartitionDirs,
+  listPathFiles,
+  getPathGlob
+};
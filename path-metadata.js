@@ -0,0 +1,138 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { stripPartitionDirs } = require('./partition-layout');
+
+// SignalK meta (units, description, display name, zones) is kept once per path
+// instead of in every record. It is taken from the server's meta model and from
+// meta sent with deltas, written to a `_meta.json` catalog in the path directory
+// and embedded in each Parquet file's key-value metadata under `signalk_meta`:
+//
+//   SELECT decode(value) FROM parquet_kv_metadata('<file>') WHERE decode(key) = 'signalk_meta'
+
+const META_FILE = '_meta.json';
+const META_KEY = 'signalk_meta';
+const META_FIELDS = ['units', 'description', 'displayName', 'zones'];
+const LOOKUP_INTERVAL = 60000; // ms between lookups of a path in the server's meta model
+
+// The meta fields the plugin keeps, or null when there are none
+function pickMeta(meta) {
+  if (!meta || typeof meta !== 'object') return null;
+
+  const picked = {};
+  META_FIELDS.forEach(field => {
+    if (meta[field] !== undefined && meta[field] !== null) {
+      picked[field] = meta[field];
+    }
+  });
+  return Object.keys(picked).length > 0 ? picked : null;
+}
+
+class PathMetadata {
+  constructor(options = {}) {
+    this.app = options.app; // SignalK app instance, for the server's meta model
+    this.meta = new Map(); // `${context}:${path}` -> meta fields
+    this.lookedUp = new Map(); // `${context}:${path}` -> time of the last model lookup
+    this.catalogs = new Map(); // path directory -> catalog entry written or read by this instance
+    this.saving = new Map(); // path directory -> promise chain serializing its catalog writes
+  }
+
+  isSelf(context) {
+    return !context || context === 'vessels.self' || Boolean(this.app && context === this.app.selfContext);
+  }
+
+  // Meta of a path in the server's model
+  lookup(context, signalkPath) {
+    try {
+      const node = this.isSelf(context)
+        ? this.app.getSelfPath(signalkPath)
+        : this.app.getPath(`${context}.${signalkPath}`);
+      return pickMeta(node && node.meta);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Merge meta that arrived with a delta (or from the model) into what is known of a path
+  update(context, signalkPath, meta) {
+    const picked = pickMeta(meta);
+    if (!picked) return;
+
+    const key = `${context}:${signalkPath}`;
+    this.meta.set(key, { ...this.meta.get(key), ...picked });
+  }
+
+  // Known meta of a path, looking it up in the server's model at most once a minute
+  get(context, signalkPath, now = Date.now()) {
+    const key = `${context}:${signalkPath}`;
+    if (this.app && !(now - (this.lookedUp.get(key) || 0) < LOOKUP_INTERVAL)) {
+      this.lookedUp.set(key, now);
+      this.update(context, signalkPath, this.lookup(context, signalkPath));
+    }
+    return this.meta.get(key) || null;
+  }
+
+  // The catalog of a path directory from its _meta.json, or null
+  readCatalog(pathDir) {
+    try {
+      const catalogFile = path.join(pathDir, META_FILE);
+      return fs.existsSync(catalogFile) ? fs.readJsonSync(catalogFile) : null;
+    } catch (error) {
+      this.app && this.app.debug(`Could not read ${path.join(pathDir, META_FILE)}:`, error.message);
+      return null;
+    }
+  }
+
+  // Write a path directory's _meta.json when the path's meta has changed. Resolves
+  // to the catalog entry, or null while nothing is known about the path.
+  saveCatalog(pathDir, context, signalkPath) {
+    const saving = (this.saving.get(pathDir) || Promise.resolve())
+      .catch(() => {})
+      .then(() => this.writeCatalog(pathDir, context, signalkPath));
+    this.saving.set(pathDir, saving);
+    return saving;
+  }
+
+  async writeCatalog(pathDir, context, signalkPath) {
+    if (!this.catalogs.has(pathDir)) {
+      this.catalogs.set(pathDir, this.readCatalog(pathDir));
+    }
+    const current = this.catalogs.get(pathDir);
+    const meta = this.get(context, signalkPath);
+    if (!meta) return current;
+
+    const known = current && current.path === signalkPath ? pickMeta(current) : null;
+    const entry = { path: signalkPath, context, ...pickMeta({ ...known, ...meta }) };
+    if (current && JSON.stringify({ ...current, updated: undefined }) === JSON.stringify({ ...entry, updated: undefined })) {
+      return current;
+    }
+
+    const catalog = { ...entry, updated: new Date().toISOString() };
+    await fs.ensureDir(pathDir);
+    const tempFile = path.join(pathDir, `${META_FILE}.inprogress`);
+    await fs.writeJson(tempFile, catalog, { spaces: 2 });
+    await fs.move(tempFile, path.join(pathDir, META_FILE), { overwrite: true });
+    this.catalogs.set(pathDir, catalog);
+    this.app && this.app.debug(`🏷️ Updated ${META_FILE} for ${signalkPath}`);
+    return catalog;
+  }
+
+  // Key-value metadata for a data file: its path directory's catalog under `signalk_meta`
+  getFileMetadata(filePath) {
+    const pathDir = stripPartitionDirs(path.dirname(filePath));
+    if (!this.catalogs.has(pathDir)) {
+      this.catalogs.set(pathDir, this.readCatalog(pathDir));
+    }
+    const catalog = this.catalogs.get(pathDir);
+    if (!catalog) return null;
+
+    const { updated, ...meta } = catalog;
+    return { [META_KEY]: JSON.stringify(meta) };
+  }
+}
+
+module.exports = {
+  META_FILE,
+  META_KEY,
+  pickMeta,
+  PathMetadata
+};
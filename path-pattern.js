@@ -0,0 +1,40 @@
+// SignalK path patterns as used in subscriptions: `*` matches any run of characters,
+// so `propulsion.*.revolutions` matches every engine and `environment.*` matches
+// everything below environment.
+
+function isPattern(signalkPath) {
+  return typeof signalkPath === 'string' && signalkPath.includes('*');
+}
+
+const regexCache = new Map();
+
+function patternToRegExp(pattern) {
+  if (!regexCache.has(pattern)) {
+    const escaped = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    regexCache.set(pattern, new RegExp(`^${escaped}$`));
+  }
+  return regexCache.get(pattern);
+}
+
+function matchesPath(pattern, signalkPath) {
+  if (!pattern || !signalkPath) return false;
+  if (!isPattern(pattern)) return pattern === signalkPath;
+  return patternToRegExp(pattern).test(signalkPath);
+}
+
+// Find the path configuration responsible for a concrete path. An exact entry wins
+// over a pattern; between patterns the most specific (longest) one wins.
+function findPathConfig(pathConfigs, signalkPath) {
+  const exact = pathConfigs.find(p => p.path === signalkPath);
+  if (exact) return exact;
+
+  return pathConfigs
+    .filter(p => isPattern(p.path) && matchesPath(p.path, signalkPath))
+    .sort((a, b) => b.path.replace(/\*/g, '').length - a.path.replace(/\*/g, '').length)[0];
+}
+
+module.exports = {
+  isPattern,
+  matchesPath,
+  findPathConfig
+};
@@ -0,0 +1,212 @@
+// A view in the query database for every recorded path, named after the path with
+// its dots as underscores (navigation.speedOverGround -> navigation_speedOverGround).
+// Paths that map to the same name (a.b_c and a_b.c, or names differing only in case,
+// which DuckDB doesn't tell apart) are told apart by a suffix: the first path in
+// alphabetical order gets a_b_c, the next a_b_c_2.
+// A view reads the path's files in every context and format, combined by column
+// name, so queries need no file globs:
+//
+//   SELECT context, max(value) FROM navigation_speedOverGround GROUP BY context
+//
+// The views are refreshed at most once a minute when the catalog is used, and on
+// its next use once a new path has been written. DuckDB fixes a view's columns
+// when the view is created, so views whose files gained columns or changed types
+// are created again when a query trips over them.
+
+const REFRESH_INTERVAL = 60000; // ms between refreshes of the views
+const OUTDATED_VIEW_PATTERN = /Contents of view were altered|No files found that match the pattern/;
+
+function sqlIdentifier(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+// View name of a SignalK path
+function getViewName(signalkPath) {
+  return signalkPath.replace(/[^A-Za-z0-9_]/g, '_');
+}
+
+// View name of a path that isn't one of the `taken` names (lower case) yet
+function getUniqueViewName(signalkPath, taken) {
+  const base = getViewName(signalkPath);
+  let name = base;
+  for (let suffix = 2; taken.has(name.toLowerCase()); suffix++) {
+    name = `${base}_${suffix}`;
+  }
+  taken.add(name.toLowerCase());
+  return name;
+}
+
+class QueryCatalog {
+  constructor(options = {}) {
+    this.app = options.app; // SignalK app instance for logging
+    this.sandbox = options.sandbox; // QuerySandbox whose database holds the views
+    this.querySources = options.querySources; // Table expressions over the data files
+    this.outputDirectory = this.querySources.outputDirectory;
+    this.findPaths = options.findPaths; // () => recorded paths: { path, contexts, directories, formats, fileCount }
+    this.getLayout = options.getLayout || (() => undefined); // Configured partition layout
+    this.views = new Map(); // view name -> { path, sql, contexts, formats, fileCount, columns }
+    this.loaded = false; // Whether the views left in the database file are known
+    this.stale = true;
+    this.rebuild = false; // Create every view again at the next refresh
+    this.refreshedAt = 0;
+    this.refreshing = null;
+  }
+
+  // Refresh at the next use, e.g. once a new path has been written
+  markStale() {
+    this.stale = true;
+  }
+
+  // Refresh the views when they are stale or older than a minute
+  async update(now = Date.now()) {
+    if (this.stale || now - this.refreshedAt >= REFRESH_INTERVAL) {
+      await this.refresh();
+    }
+    return this;
+  }
+
+  // One refresh at a time; callers during a refresh wait for it
+  refresh() {
+    if (!this.refreshing) {
+      this.stale = false;
+      this.refreshing = this.refreshViews().finally(() => {
+        this.refreshing = null;
+      });
+    }
+    return this.refreshing;
+  }
+
+  async refreshViews() {
+    const rebuild = this.rebuild;
+    this.rebuild = false;
+    const connection = await this.sandbox.connect();
+    try {
+      if (!this.loaded) {
+        // Views an earlier run left in the database file are replaced or dropped below
+        const reader = await connection.runAndReadAll(`SELECT view_name FROM duckdb_views() WHERE NOT internal AND schema_name = 'main'`);
+        reader.getRowObjects().forEach(row => {
+          if (!this.views.has(row.view_name)) {
+            this.views.set(row.view_name, { sql: null });
+          }
+        });
+        this.loaded = true;
+      }
+
+      const wanted = new Set();
+      const taken = new Set(); // Lower-case view names given out, in path order so they stay put
+      const pathInfos = this.findPaths().sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+      for (const pathInfo of pathInfos) {
+        const name = getUniqueViewName(pathInfo.path, taken);
+        const source = await this.querySources.getDirectoriesSource(pathInfo.directories, this.getLayout());
+        if (!source) continue;
+
+        const view = {
+          path: pathInfo.path,
+          sql: `CREATE OR REPLACE VIEW ${sqlIdentifier(name)} AS SELECT * FROM ${source}`,
+          contexts: pathInfo.contexts,
+          formats: pathInfo.formats,
+          fileCount: pathInfo.fileCount,
+          columns: null
+        };
+        const current = this.views.get(name);
+        if (current && current.sql === view.sql && !rebuild) {
+          this.views.set(name, { ...view, columns: current.columns });
+          wanted.add(name);
+          continue;
+        }
+
+        try {
+          await connection.run(view.sql);
+          this.views.set(name, view);
+          wanted.add(name);
+          if (!current && name !== getViewName(pathInfo.path)) {
+            this.app && this.app.debug(`⚠️ Added query view ${name} for ${pathInfo.path}, as ${getViewName(pathInfo.path)} is another path's view`);
+          } else if (!current) {
+            this.app && this.app.debug(`📇 Added query view ${name}`);
+          }
+        } catch (error) {
+          this.app && this.app.debug(`⚠️ Could not create query view ${name}:`, error.message);
+        }
+      }
+
+      for (const name of Array.from(this.views.keys())) {
+        if (!wanted.has(name)) {
+          await connection.run(`DROP VIEW IF EXISTS ${sqlIdentifier(name)}`);
+          this.views.delete(name);
+        }
+      }
+      this.refreshedAt = Date.now();
+    } finally {
+      connection.disconnectSync();
+    }
+  }
+
+  // Run a read-only query (see QuerySandbox.run). A query that failed on a view whose
+  // files changed runs once more after every view has been created again.
+  async run(sql) {
+    await this.update();
+    try {
+      return await this.sandbox.run(sql);
+    } catch (error) {
+      if (!OUTDATED_VIEW_PATTERN.test(error.message)) throw error;
+      this.rebuild = true;
+      await this.refreshing;
+      await this.refresh();
+      return this.sandbox.run(sql);
+    }
+  }
+
+  // Columns and types of a view, creating it again when its files changed
+  async describe(connection, name) {
+    const read = async () => (await connection.runAndReadAll(`DESCRIBE ${sqlIdentifier(name)}`))
+      .getRowObjects()
+      .map(row => ({ name: row.column_name, type: row.column_type }));
+    try {
+      return await read();
+    } catch (error) {
+      if (!OUTDATED_VIEW_PATTERN.test(error.message)) throw error;
+      await connection.run(this.views.get(name).sql);
+      return read();
+    }
+  }
+
+  // Every view with its path, contexts, formats and columns, for autocomplete
+  async list() {
+    await this.update();
+    const connection = await this.sandbox.connect();
+    try {
+      const views = [];
+      for (const [name, view] of this.views) {
+        let error = null;
+        if (!view.columns) {
+          try {
+            view.columns = await this.describe(connection, name);
+          } catch (describeError) {
+            error = describeError.message;
+          }
+        }
+        views.push({
+          name: name,
+          path: view.path,
+          contexts: view.contexts,
+          formats: view.formats,
+          fileCount: view.fileCount,
+          columns: view.columns || [],
+          ...(error ? { error } : {})
+        });
+      }
+      return views.sort((a, b) => a.name.localeCompare(b.name));
+    } finally {
+      connection.disconnectSync();
+    }
+  }
+
+  close() {
+    this.sandbox.close();
+  }
+}
+
+module.exports = {
+  getViewName,
+  QueryCatalog
+};
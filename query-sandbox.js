@@ -0,0 +1,203 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// DuckDB for webapp queries
+let duckdb = null;
+try {
+  duckdb = require('@duckdb/node-api');
+} catch (error) {
+  duckdb = null;
+}
+
+// Runs the SQL sent to /api/query read-only. A query must be a single statement
+// DuckDB types as SELECT (which includes WITH, DESCRIBE, SHOW and SUMMARIZE), so
+// COPY, ATTACH, INSTALL/LOAD, SET and anything that writes are refused. The
+// database can only read files below the allowed directories, its settings are
+// locked when it is opened, and a query is interrupted after a timeout. At most
+// `maxRows` rows are read back.
+//
+// The database is opened once and shared by every query, each on its own
+// connection. Only the plugin changes it (the query catalog's views). Timestamps
+// are shown in UTC, whatever the server's time zone.
+
+const DEFAULT_LIMITS = {
+  timeoutSeconds: 30,
+  memoryLimitMB: 512,
+  maxRows: 10000
+};
+
+function sqlString(text) {
+  return `'${String(text).replace(/'/g, "''")}'`;
+}
+
+class QuerySandbox {
+  constructor(options = {}) {
+    this.app = options.app; // SignalK app instance for logging
+    this.directories = (options.directories || []).map(dir => path.resolve(dir) + path.sep); // Readable directories
+    this.databaseFile = options.databaseFile; // Keeps the views between restarts; in memory when unset
+    this.tempDirectory = options.tempDirectory; // Where DuckDB spills to disk
+    // Both outside the allowed directories, or DuckDB refuses reads below them (open() ignores them then)
+    this.limits = QuerySandbox.getLimits(options.limits);
+    this.opening = null; // The database, once it's being opened
+  }
+
+  static isAvailable() {
+    return duckdb !== null;
+  }
+
+  // Effective limits from the plugin's Query Limits settings
+  static getLimits(queryLimits = {}) {
+    const positive = (value, fallback) => Number(value) > 0 ? Number(value) : fallback;
+    return {
+      timeoutSeconds: positive(queryLimits.timeoutSeconds, DEFAULT_LIMITS.timeoutSeconds),
+      memoryLimitMB: positive(queryLimits.memoryLimitMB, DEFAULT_LIMITS.memoryLimitMB),
+      maxRows: Math.floor(positive(queryLimits.maxRows, DEFAULT_LIMITS.maxRows))
+    };
+  }
+
+  // Is a file or directory below one of the readable directories?
+  isReadable(target) {
+    const resolved = path.resolve(target) + path.sep;
+    return this.directories.some(dir => resolved.startsWith(dir));
+  }
+
+  // The database, opened and locked down on first use
+  getInstance() {
+    if (!this.opening) {
+      this.opening = this.open().catch(error => {
+        this.opening = null;
+        throw error;
+      });
+    }
+    return this.opening;
+  }
+
+  async open() {
+    let databaseFile = this.databaseFile;
+    let tempDirectory = this.tempDirectory;
+    if (databaseFile && this.isReadable(databaseFile)) {
+      this.app && this.app.debug(`⚠️ ${databaseFile} is in a directory queries read, keeping the query database in memory`);
+      databaseFile = null;
+    }
+    if (tempDirectory && this.isReadable(tempDirectory)) {
+      this.app && this.app.debug(`⚠️ ${tempDirectory} is in a directory queries read, not spilling queries to disk`);
+      tempDirectory = null;
+    }
+
+    let instance = null;
+    if (databaseFile) {
+      await fs.ensureDir(path.dirname(databaseFile));
+      try {
+        instance = await duckdb.DuckDBInstance.create(databaseFile);
+      } catch (error) {
+        // Another process, e.g. the DuckDB CLI, has the file open
+        this.app && this.app.debug(`⚠️ Could not open ${databaseFile}, keeping the query database in memory:`, error.message);
+      }
+    }
+    if (!instance) {
+      instance = await duckdb.DuckDBInstance.create(':memory:');
+    }
+    if (tempDirectory) {
+      await fs.ensureDir(tempDirectory);
+    }
+
+    const connection = await instance.connect();
+    const settings = [
+      ...(tempDirectory ? [`SET temp_directory = ${sqlString(tempDirectory)}`] : []),
+      `SET allowed_directories = [${this.directories.map(sqlString).join(', ')}]`,
+      'SET enable_external_access = false',
+      'SET autoinstall_known_extensions = false',
+      'SET autoload_known_extensions = false',
+      `SET memory_limit = '${this.limits.memoryLimitMB}MB'`,
+      // CSV timestamps are read with a time zone; show and bucket them in UTC like the others
+      `SET GLOBAL TimeZone = 'UTC'`,
+      'SET lock_configuration = true'
+    ];
+    try {
+      for (const setting of settings) {
+        await connection.run(setting);
+      }
+    } catch (error) {
+      connection.disconnectSync();
+      instance.closeSync();
+      throw error;
+    }
+    connection.disconnectSync();
+    return instance;
+  }
+
+  // A new connection to the database; the caller disconnects it
+  async connect() {
+    return (await this.getInstance()).connect();
+  }
+
+  close() {
+    const opening = this.opening;
+    this.opening = null;
+    if (opening) {
+      opening.then(instance => instance.closeSync(), () => {});
+    }
+  }
+
+  // Refuse everything but a single read-only statement
+  async checkStatement(connection, sql) {
+    const statements = await connection.extractStatements(sql);
+    if (statements.count === 0) {
+      throw new Error('Query is empty');
+    }
+    if (statements.count > 1) {
+      throw new Error('Only one statement can be run per query');
+    }
+
+    const prepared = await statements.prepare(0);
+    const type = duckdb.StatementType[prepared.statementType];
+    if (type !== 'SELECT') {
+      throw new Error(`Only SELECT, WITH and DESCRIBE queries are allowed, not ${type || 'this statement'}`);
+    }
+  }
+
+  // Run SQL the plugin built on one of the database's connections, interrupting it
+  // after the query timeout. Resolves to the reader with all rows, or with the first
+  // `maxRows` when given.
+  async runWithTimeout(connection, sql, maxRows) {
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      connection.interrupt();
+    }, this.limits.timeoutSeconds * 1000);
+
+    try {
+      return maxRows !== undefined
+        ? await connection.streamAndReadUntil(sql, maxRows)
+        : await connection.runAndReadAll(sql);
+    } catch (error) {
+      if (timedOut) {
+        throw new Error(`Query timed out after ${this.limits.timeoutSeconds} seconds`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // Run a query. Resolves to { columns, rows, truncated }, where rows are DuckDB
+  // values and `truncated` tells whether the result had more than maxRows rows.
+  async run(sql) {
+    const connection = await this.connect();
+    try {
+      await this.checkStatement(connection, sql);
+      // Read one row past the limit to tell whether there are more
+      const reader = await this.runWithTimeout(connection, sql, this.limits.maxRows + 1);
+      const rows = reader.getRowObjects();
+      return {
+        columns: reader.columnNames(),
+        rows: rows.slice(0, this.limits.maxRows),
+        truncated: rows.length > this.limits.maxRows
+      };
+    } finally {
+      connection.disconnectSync();
+    }
+  }
+}
+
+module.exports = QuerySandbox;
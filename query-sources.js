@@ -0,0 +1,193 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { listPathFiles, getPathGlob } = require('./partition-layout');
+const { FORMATS, DATA_FILE_EXTENSIONS, getFileExtension, getFileFormat } = require('./file-formats');
+
+// How DuckDB reads the plugin's files: Parquet, JSON, NDJSON and CSV directly.
+// Arrow IPC files need DuckDB's arrow extension, which isn't bundled, so each one
+// is converted once to a Parquet copy in <output directory>/.tmp/arrow/ (at the
+// same relative location, so partition columns still work) and read from there.
+
+const JSON_TIMESTAMP_FORMAT = '%Y-%m-%dT%H:%M:%S.%gZ'; // Timestamps as written by toISOString()
+
+// SQL string literal for DuckDB queries
+function sqlString(text) {
+  return `'${String(text).replace(/'/g, "''")}'`;
+}
+
+// DuckDB table function reading a glob or a list of files of one format
+function readFunction(format, files) {
+  const source = Array.isArray(files) ? `[${files.map(sqlString).join(', ')}]` : sqlString(files);
+  switch (format) {
+    case 'json':
+      return `read_json(${source}, format = 'array', union_by_name = true, timestampformat = '${JSON_TIMESTAMP_FORMAT}')`;
+    case 'ndjson':
+      return `read_json(${source}, format = 'newline_delimited', union_by_name = true, timestampformat = '${JSON_TIMESTAMP_FORMAT}')`;
+    case 'csv':
+      return `read_csv(${source}, union_by_name = true)`;
+    default:
+      return `read_parquet(${source}, union_by_name = true)`;
+  }
+}
+
+class QuerySources {
+  constructor(options = {}) {
+    this.app = options.app; // SignalK app instance for logging
+    this.parquetWriter = options.parquetWriter; // ParquetWriter that converts Arrow files
+    this.outputDirectory = options.outputDirectory;
+    this.copyDirectory = path.join(options.outputDirectory, '.tmp', 'arrow');
+    this.converting = new Map(); // copy path -> pending conversion
+  }
+
+  getCopyPath(arrowFile) {
+    return path.join(this.copyDirectory, `${path.relative(this.outputDirectory, arrowFile)}.parquet`);
+  }
+
+  // Parquet copy of an Arrow file, converted again when the Arrow file is newer.
+  // Resolves to null for an Arrow file without records.
+  async getArrowCopy(arrowFile) {
+    const relative = path.relative(this.outputDirectory, arrowFile);
+    if (relative.startsWith('..') || path.isAbsolute(relative)) {
+      throw new Error(`Arrow files can only be queried in the output directory: ${arrowFile}`);
+    }
+
+    const copy = this.getCopyPath(arrowFile);
+    if (!this.converting.has(copy)) {
+      const conversion = this.convertArrowFile(arrowFile, copy)
+        .finally(() => this.converting.delete(copy));
+      this.converting.set(copy, conversion);
+    }
+    return this.converting.get(copy);
+  }
+
+  async convertArrowFile(arrowFile, copy) {
+    if (await fs.pathExists(copy) && (await fs.stat(copy)).mtimeMs >= (await fs.stat(arrowFile)).mtimeMs) {
+      return copy;
+    }
+
+    const tempFile = `${copy}.inprogress`;
+    try {
+      if (!(await this.parquetWriter.convertArrowToParquet(arrowFile, tempFile))) return null;
+      await fs.move(tempFile, copy, { overwrite: true });
+      this.app && this.app.debug(`🏹 Converted ${arrowFile} to Parquet for queries`);
+      return copy;
+    } finally {
+      await fs.remove(tempFile);
+    }
+  }
+
+  // Remove the copies below a path directory whose Arrow file is gone (consolidated,
+  // moved to processed/ or expired)
+  async pruneArrowCopies(pathDir, keep) {
+    const walkDir = async (dir) => {
+      if (!(await fs.pathExists(dir))) return;
+      for (const item of await fs.readdir(dir)) {
+        const itemPath = path.join(dir, item);
+        if ((await fs.stat(itemPath)).isDirectory()) {
+          await walkDir(itemPath);
+        } else if (!keep.has(itemPath) && !this.converting.has(itemPath)) {
+          await fs.remove(itemPath);
+        }
+      }
+    };
+    await walkDir(path.join(this.copyDirectory, path.relative(this.outputDirectory, pathDir)));
+  }
+
+  // SQL table expression over every data file of a path directory. A path with only
+  // Parquet files gets its quoted glob, as before there were other formats; files in
+  // several formats are read with one table function each and combined by column name.
+  async getPathSource(pathDir, layout) {
+    const files = listPathFiles(pathDir, DATA_FILE_EXTENSIONS);
+    const formats = new Set(files.map(getFileFormat));
+    if (formats.size === 0 || (formats.size === 1 && formats.has('parquet'))) {
+      return sqlString(getPathGlob(pathDir, layout));
+    }
+
+    const selects = [];
+    for (const format of FORMATS.filter(format => formats.has(format))) {
+      if (format === 'arrow') {
+        const copies = await this.getArrowCopies(files);
+        await this.pruneArrowCopies(pathDir, new Set(copies));
+        if (copies.length > 0) {
+          selects.push(`SELECT * FROM ${readFunction('parquet', copies)}`);
+        }
+      } else {
+        // The path's _meta.json catalog isn't data
+        const glob = getPathGlob(pathDir, layout, getFileExtension(format)).replace(/\*\.json$/, '[!_]*.json');
+        selects.push(`SELECT * FROM ${readFunction(format, glob)}`);
+      }
+    }
+    if (selects.length === 0) {
+      return sqlString(getPathGlob(pathDir, layout));
+    }
+    return `(${selects.join(' UNION ALL BY NAME ')})`;
+  }
+
+  // SQL table expression over a list of data files in any formats, or null when
+  // none of them has records
+  async getFilesSource(files) {
+    const selects = [];
+    for (const format of FORMATS) {
+      const formatFiles = files.filter(file => getFileFormat(file) === format);
+      if (format === 'arrow') {
+        const copies = await this.getArrowCopies(formatFiles);
+        if (copies.length > 0) {
+          selects.push(`SELECT * FROM ${readFunction('parquet', copies)}`);
+        }
+      } else if (formatFiles.length > 0) {
+        selects.push(`SELECT * FROM ${readFunction(format, formatFiles)}`);
+      }
+    }
+    if (selects.length === 0) return null;
+    return `(${selects.join(' UNION ALL BY NAME ')})`;
+  }
+
+  // SQL table expression over one path recorded in several contexts (a path directory
+  // each), as the query catalog's views read it, or null when none has data files.
+  // Each format's globs go into one table function, so new files show up in queries.
+  async getDirectoriesSource(pathDirs, layout) {
+    const selects = [];
+    for (const format of FORMATS) {
+      const extension = getFileExtension(format);
+      const dirs = pathDirs.filter(pathDir => listPathFiles(pathDir, extension).length > 0);
+      if (dirs.length === 0) continue;
+
+      if (format === 'arrow') {
+        // Copies are converted now; Arrow files written later join at the next refresh
+        const copies = await this.getArrowCopies(dirs.flatMap(pathDir => listPathFiles(pathDir, extension)));
+        if (copies.length > 0) {
+          selects.push(`SELECT * FROM ${readFunction('parquet', copies)}`);
+        }
+      } else {
+        // The path's _meta.json catalog isn't data
+        const globs = dirs.map(pathDir => getPathGlob(pathDir, layout, extension).replace(/\*\.json$/, '[!_]*.json'));
+        selects.push(`SELECT * FROM ${readFunction(format, globs)}`);
+      }
+    }
+    if (selects.length === 0) return null;
+    return `(${selects.join(' UNION ALL BY NAME ')})`;
+  }
+
+  // Parquet copies of the Arrow files among `files`, leaving out those without records
+  async getArrowCopies(files) {
+    const copies = [];
+    for (const arrowFile of files.filter(file => getFileFormat(file) === 'arrow')) {
+      const copy = await this.getArrowCopy(arrowFile);
+      if (copy) copies.push(copy);
+    }
+    return copies;
+  }
+
+  // SQL table expression over one data file
+  async getFileSource(filePath) {
+    const format = getFileFormat(filePath);
+    if (format === 'arrow') {
+      const copy = await this.getArrowCopy(filePath);
+      if (!copy) throw new Error(`${filePath} has no records`);
+      return readFunction('parquet', copy);
+    }
+    return readFunction(format, filePath);
+  }
+}
+
+module.exports = QuerySources;
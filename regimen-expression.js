@@ -0,0 +1,244 @@
+// Boolean expressions for the `regimen` field of a path configuration.
+//
+//   underway AND NOT motoring
+//   (race OR passage) AND daylight
+//   captureWeather AND time(06:00-20:00)
+//   captureWeather, capturePassage          (comma is the original OR list)
+//
+// Identifiers are regimen (command) names. `time(HH:MM-HH:MM)` is true inside a
+// window of server local time; windows may wrap past midnight. Operators are
+// case-insensitive and also accept `&&`, `||` and `!`.
+
+const KEYWORDS = { AND: 'AND', OR: 'OR', NOT: 'NOT' };
+
+function tokenize(text) {
+  const tokens = [];
+  let pos = 0;
+
+  while (pos < text.length) {
+    const char = text[pos];
+
+    if (/\s/.test(char)) {
+      pos++;
+      continue;
+    }
+
+    if (char === '(' || char === ')') {
+      tokens.push({ type: char, pos });
+      pos++;
+      continue;
+    }
+
+    if (char === ',') {
+      tokens.push({ type: 'OR', pos });
+      pos++;
+      continue;
+    }
+
+    if (text.startsWith('&&', pos) || text.startsWith('||', pos)) {
+      tokens.push({ type: char === '&' ? 'AND' : 'OR', pos });
+      pos += 2;
+      continue;
+    }
+
+    if (char === '!') {
+      tokens.push({ type: 'NOT', pos });
+      pos++;
+      continue;
+    }
+
+    const timeMatch = text.slice(pos).match(/^time\(\s*(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})\s*\)/i);
+    if (timeMatch) {
+      const [hoursFrom, minutesFrom, hoursTo, minutesTo] = timeMatch.slice(1).map(Number);
+      if (hoursFrom > 23 || hoursTo > 23 || minutesFrom > 59 || minutesTo > 59) {
+        throw new Error(`Invalid time window "${timeMatch[0]}" at position ${pos + 1}`);
+      }
+      tokens.push({
+        type: 'TIME',
+        pos,
+        from: hoursFrom * 60 + minutesFrom,
+        to: hoursTo * 60 + minutesTo,
+        text: timeMatch[0].replace(/\s+/g, '')
+      });
+      pos += timeMatch[0].length;
+      continue;
+    }
+
+    const wordMatch = text.slice(pos).match(/^[A-Za-z_][A-Za-z0-9_.-]*/);
+    if (wordMatch) {
+      const word = wordMatch[0];
+      const keyword = KEYWORDS[word.toUpperCase()];
+      tokens.push(keyword ? { type: keyword, pos } : { type: 'NAME', pos, name: word });
+      pos += word.length;
+      continue;
+    }
+
+    throw new Error(`Unexpected character "${char}" at position ${pos + 1}`);
+  }
+
+  return tokens;
+}
+
+// Recursive descent parser: OR binds loosest, then AND, then NOT
+function parseRegimenExpression(text) {
+  if (typeof text !== 'string' || text.trim() === '') {
+    throw new Error('Regimen expression is empty');
+  }
+
+  const tokens = tokenize(text);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const describe = token => token ? `"${token.type === 'NAME' ? token.name : token.type}" at position ${token.pos + 1}` : 'end of expression';
+
+  function parseOr() {
+    const operands = [parseAnd()];
+    while (peek() && peek().type === 'OR') {
+      index++;
+      operands.push(parseAnd());
+    }
+    return operands.length === 1 ? operands[0] : { type: 'or', operands };
+  }
+
+  function parseAnd() {
+    const operands = [parseNot()];
+    while (peek() && peek().type === 'AND') {
+      index++;
+      operands.push(parseNot());
+    }
+    return operands.length === 1 ? operands[0] : { type: 'and', operands };
+  }
+
+  function parseNot() {
+    if (peek() && peek().type === 'NOT') {
+      index++;
+      return { type: 'not', operand: parseNot() };
+    }
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    const token = peek();
+    if (!token) {
+      throw new Error('Unexpected end of expression');
+    }
+
+    if (token.type === '(') {
+      index++;
+      const node = parseOr();
+      if (!peek() || peek().type !== ')') {
+        throw new Error(`Expected ")" but found ${describe(peek())}`);
+      }
+      index++;
+      return node;
+    }
+
+    if (token.type === 'NAME') {
+      index++;
+      return { type: 'regimen', name: token.name };
+    }
+
+    if (token.type === 'TIME') {
+      index++;
+      return { type: 'time', from: token.from, to: token.to, text: token.text };
+    }
+
+    throw new Error(`Unexpected ${describe(token)}`);
+  }
+
+  const ast = parseOr();
+  if (index < tokens.length) {
+    throw new Error(`Unexpected ${describe(peek())}`);
+  }
+  return ast;
+}
+
+// Render a node back to text, used to report which clause blocked recording
+function formatExpression(node, parentType) {
+  switch (node.type) {
+    case 'regimen':
+      return node.name;
+    case 'time':
+      return node.text;
+    case 'not':
+      return `NOT ${formatExpression(node.operand, 'not')}`;
+    default: {
+      const text = node.operands.map(operand => formatExpression(operand, node.type)).join(` ${node.type.toUpperCase()} `);
+      return parentType ? `(${text})` : text;
+    }
+  }
+}
+
+function isInTimeWindow(node, now) {
+  const minutes = now.getHours() * 60 + now.getMinutes();
+  if (node.from <= node.to) {
+    return minutes >= node.from && minutes < node.to;
+  }
+  // Window wraps past midnight, e.g. time(20:00-06:00)
+  return minutes >= node.from || minutes < node.to;
+}
+
+// Evaluate a parsed expression. When the result is false, `blockedBy` names the
+// clause that made it false (the first failing clause of an AND, or the whole OR).
+function evaluateRegimenExpression(node, activeRegimens, now = new Date()) {
+  switch (node.type) {
+    case 'regimen':
+      return activeRegimens.has(node.name)
+        ? { value: true, blockedBy: null }
+        : { value: false, blockedBy: node.name };
+    case 'time':
+      return isInTimeWindow(node, now)
+        ? { value: true, blockedBy: null }
+        : { value: false, blockedBy: node.text };
+    case 'not': {
+      const result = evaluateRegimenExpression(node.operand, activeRegimens, now);
+      return result.value
+        ? { value: false, blockedBy: formatExpression(node) }
+        : { value: true, blockedBy: null };
+    }
+    case 'and': {
+      for (const operand of node.operands) {
+        const result = evaluateRegimenExpression(operand, activeRegimens, now);
+        if (!result.value) {
+          return result;
+        }
+      }
+      return { value: true, blockedBy: null };
+    }
+    case 'or': {
+      const anyTrue = node.operands.some(operand => evaluateRegimenExpression(operand, activeRegimens, now).value);
+      return anyTrue
+        ? { value: true, blockedBy: null }
+        : { value: false, blockedBy: formatExpression(node, 'or') };
+    }
+    default:
+      throw new Error(`Unknown regimen expression node: ${node.type}`);
+  }
+}
+
+// Regimen names referenced by an expression
+function getRegimenNames(node, names = new Set()) {
+  if (node.type === 'regimen') {
+    names.add(node.name);
+  } else if (node.type === 'not') {
+    getRegimenNames(node.operand, names);
+  } else if (node.operands) {
+    node.operands.forEach(operand => getRegimenNames(operand, names));
+  }
+  return names;
+}
+
+// Does an expression depend on the time of day (and so need periodic re-evaluation)?
+function usesTimeWindow(node) {
+  if (node.type === 'time') return true;
+  if (node.type === 'not') return usesTimeWindow(node.operand);
+  return Boolean(node.operands && node.operands.some(usesTimeWindow));
+}
+
+module.exports = {
+  parseRegimenExpression,
+  evaluateRegimenExpression,
+  formatExpression,
+  getRegimenNames,
+  usesTimeWindow
+};
@@ -0,0 +1,233 @@
+const { matchesPath } = require('./path-pattern');
+
+const EARTH_RADIUS_METERS = 6371000;
+const DEFAULT_STALE_SECONDS = 60; // Values older than this no longer count, e.g. SOG after the GPS drops out
+
+const OPERATORS = {
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b
+};
+
+// Great-circle distance in meters between two positions
+function distanceMeters(lat1, lon1, lat2, lon2) {
+  const toRad = deg => deg * Math.PI / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(a));
+}
+
+// Turns regimens on and off from live data. Each rule watches one path (wildcards
+// allowed) of the own vessel and sets its regimen when its condition has held for
+// `forSeconds`, clearing it when the condition has failed for `offForSeconds`. A
+// regimen is on while any of its rules is on. Changes are published as
+// `commands.<regimen>` deltas so the normal command handling picks them up.
+// A value not updated for `staleSeconds` is forgotten, so a sensor that stops
+// reporting makes its rule's condition fail rather than hold forever.
+class RegimenRuleEngine {
+  constructor(options = {}) {
+    this.app = options.app; // SignalK app instance for logging and subscriptions
+    this.pluginId = options.pluginId;
+    this.rules = [];
+    this.unsubscribes = [];
+    this.regimenStates = new Map(); // regimen name -> last published state
+    this.tickInterval = null;
+  }
+
+  static validateRule(rule) {
+    if (!rule || !rule.regimen || !/^[A-Za-z_][A-Za-z0-9_]*$/.test(rule.regimen)) {
+      return 'Rule regimen must be a simple name (letters, digits, underscore)';
+    }
+    if (!rule.path) {
+      return `Rule for ${rule.regimen} needs a path`;
+    }
+    if ((rule.type || 'threshold') === 'threshold') {
+      if (!OPERATORS[rule.operator || '>']) {
+        return `Rule for ${rule.regimen} has unknown operator "${rule.operator}"`;
+      }
+      if (rule.value === undefined || rule.value === null || rule.value === '') {
+        return `Rule for ${rule.regimen} needs a threshold value`;
+      }
+    } else if (rule.type === 'geofence') {
+      if (!isFinite(rule.latitude) || !isFinite(rule.longitude) || !(Number(rule.radius) > 0)) {
+        return `Geofence rule for ${rule.regimen} needs latitude, longitude and a positive radius`;
+      }
+    } else {
+      return `Rule for ${rule.regimen} has unknown type "${rule.type}"`;
+    }
+    return null;
+  }
+
+  // Start watching `rules`, dropping the state of any rules started before
+  start(rules) {
+    if (this.rules.length > 0 || this.unsubscribes.length > 0) {
+      this.stop();
+    }
+
+    this.rules = (rules || [])
+      .filter(rule => {
+        const error = RegimenRuleEngine.validateRule(rule);
+        if (error) {
+          this.app.debug(`⚠️ Ignoring regimen rule: ${error}`);
+        }
+        return !error;
+      })
+      .map(rule => ({
+        ...rule,
+        type: rule.type || 'threshold',
+        lastValues: new Map(), // concrete path -> { value, time } of its latest update
+        conditionSince: null, // when the condition last became true
+        failingSince: null, // when the condition last became false
+        active: null // unknown until the condition has held (or failed) long enough
+      }));
+
+    if (this.rules.length === 0) return;
+
+    const subscription = {
+      context: 'vessels.self',
+      subscribe: Array.from(new Set(this.rules.map(rule => rule.path))).map(rulePath => ({
+        path: rulePath,
+        period: 1000
+      }))
+    };
+
+    this.app.debug(`🤖 Starting ${this.rules.length} regimen rules for [${this.getRegimens().join(', ')}]`);
+
+    this.app.subscriptionmanager.subscribe(
+      subscription,
+      this.unsubscribes,
+      (subscriptionError) => {
+        this.app.debug('Regimen rule subscription error:', subscriptionError);
+      },
+      (delta) => {
+        if (!delta.updates) return;
+        delta.updates.forEach(update => {
+          (update.values || []).forEach(valueUpdate => {
+            this.rules
+              .filter(rule => matchesPath(rule.path, valueUpdate.path))
+              .forEach(rule => rule.lastValues.set(valueUpdate.path, { value: valueUpdate.value, time: Date.now() }));
+          });
+        });
+        this.evaluate();
+      }
+    );
+
+    // Timers run out between deltas too, so evaluate every second
+    this.tickInterval = setInterval(() => this.evaluate(), 1000);
+  }
+
+  stop() {
+    if (this.tickInterval) {
+      clearInterval(this.tickInterval);
+      this.tickInterval = null;
+    }
+    this.unsubscribes.forEach(unsubscribe => {
+      if (typeof unsubscribe === 'function') {
+        unsubscribe();
+      }
+    });
+    this.unsubscribes = [];
+    this.rules = [];
+    this.regimenStates.clear();
+  }
+
+  // Regimen names controlled by rules
+  getRegimens() {
+    return Array.from(new Set(this.rules.map(rule => rule.regimen)));
+  }
+
+  // Seconds after which a rule's values are stale (0 = never)
+  getStaleSeconds(rule) {
+    return rule.staleSeconds !== undefined && rule.staleSeconds !== '' && rule.staleSeconds !== null
+      ? Number(rule.staleSeconds)
+      : DEFAULT_STALE_SECONDS;
+  }
+
+  // Is the rule's condition true for any of the values it has seen recently?
+  checkCondition(rule, now = Date.now()) {
+    const staleMs = this.getStaleSeconds(rule) * 1000;
+    rule.lastValues.forEach((entry, concretePath) => {
+      if (staleMs > 0 && now - entry.time > staleMs) {
+        rule.lastValues.delete(concretePath);
+      }
+    });
+
+    const values = Array.from(rule.lastValues.values()).map(entry => entry.value).filter(v => v !== null && v !== undefined);
+    if (values.length === 0) return false;
+
+    if (rule.type === 'geofence') {
+      return values.some(position => {
+        if (!position || !isFinite(position.latitude) || !isFinite(position.longitude)) return false;
+        const distance = distanceMeters(Number(rule.latitude), Number(rule.longitude), position.latitude, position.longitude);
+        const inside = distance <= Number(rule.radius);
+        return rule.inside === false ? !inside : inside;
+      });
+    }
+
+    const compare = OPERATORS[rule.operator || '>'];
+    const threshold = typeof rule.value === 'boolean' || isNaN(Number(rule.value)) ? rule.value : Number(rule.value);
+    return values.some(value => compare(typeof value === 'boolean' ? Number(value) : value, typeof threshold === 'boolean' ? Number(threshold) : threshold));
+  }
+
+  // Advance each rule's timers and publish regimens whose state changed
+  evaluate(now = Date.now()) {
+    this.rules.forEach(rule => {
+      const condition = this.checkCondition(rule, now);
+
+      if (condition) {
+        rule.failingSince = null;
+        if (rule.conditionSince === null) rule.conditionSince = now;
+        if (rule.active !== true && now - rule.conditionSince >= (Number(rule.forSeconds) || 0) * 1000) {
+          rule.active = true;
+        }
+      } else {
+        rule.conditionSince = null;
+        if (rule.failingSince === null) rule.failingSince = now;
+        const offSeconds = rule.offForSeconds !== undefined && rule.offForSeconds !== '' ? Number(rule.offForSeconds) : (Number(rule.forSeconds) || 0);
+        if (rule.active !== false && now - rule.failingSince >= offSeconds * 1000) {
+          rule.active = false;
+        }
+      }
+    });
+
+    this.getRegimens().forEach(regimen => {
+      const regimenRules = this.rules.filter(rule => rule.regimen === regimen);
+      const active = regimenRules.some(rule => rule.active === true);
+
+      // Don't publish "off" at startup until every rule for the regimen has decided
+      if (!active && regimenRules.some(rule => rule.active === null)) return;
+
+      if (this.regimenStates.get(regimen) !== active) {
+        this.regimenStates.set(regimen, active);
+        this.publish(regimen, active);
+      }
+    });
+  }
+
+  publish(regimen, active) {
+    this.app.debug(`🤖 Rule sets commands.${regimen} = ${active}`);
+    this.app.handleMessage(this.pluginId, {
+      context: 'vessels.self',
+      updates: [{
+        timestamp: new Date().toISOString(),
+        values: [{ path: `commands.${regimen}`, value: active }]
+      }]
+    });
+  }
+
+  getStatus() {
+    return this.rules.map(rule => ({
+      regimen: rule.regimen,
+      type: rule.type,
+      path: rule.path,
+      condition: this.checkCondition(rule),
+      active: rule.active === true
+    }));
+  }
+}
+
+module.exports = RegimenRuleEngine;
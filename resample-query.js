@@ -0,0 +1,112 @@
+const path = require('path');
+
+// Builds the DuckDB query behind GET /api/data: one path's values between two
+// times, either raw or resampled into fixed time buckets with one aggregate per
+// value column. Times are the plugin's received_timestamp, in UTC.
+
+const BUCKET_UNITS = { s: 1, m: 60, h: 3600, d: 86400 };
+const MAX_ROWS = 100000; // Most buckets or raw rows one request returns
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NUMERIC_TYPE_PATTERN = /^(DOUBLE|FLOAT|REAL|DECIMAL|HUGEINT|UHUGEINT|BIGINT|UBIGINT|INTEGER|UINTEGER|SMALLINT|USMALLINT|TINYINT|UTINYINT)\b/;
+
+// SQL for each aggregate over a column; `time` is the record's timestamp
+const AGGREGATES = {
+  mean: column => `avg(${column})`,
+  min: column => `min(${column})`,
+  max: column => `max(${column})`,
+  last: column => `arg_max(${column}, time) FILTER (WHERE ${column} IS NOT NULL)`
+};
+
+function sqlIdentifier(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+function sqlTimestamp(date) {
+  return `TIMESTAMP '${date.toISOString().replace('T', ' ').replace('Z', '')}'`;
+}
+
+// Bucket width in seconds from e.g. "30s", "1m", "15m", "1h" or "1d"
+function parseBucket(text) {
+  const match = String(text).trim().match(/^(\d+)\s*([smhd])$/);
+  if (!match || Number(match[1]) === 0) {
+    throw new Error(`Invalid bucket "${text}": use a number with s, m, h or d, e.g. 1m`);
+  }
+  return Number(match[1]) * BUCKET_UNITS[match[2]];
+}
+
+// A time parameter: an ISO 8601 date or time, or milliseconds since the epoch
+function parseTime(text, name) {
+  const date = /^\d+$/.test(String(text)) ? new Date(Number(text)) : new Date(text);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid ${name} time "${text}"`);
+  }
+  return date;
+}
+
+// Data files that may hold records between `from` and `to`, judged by the date in
+// their name (a save's time, a window's start or a consolidated day). Records are
+// saved some time after they arrive, so a day's margin is kept on both sides.
+function filesInRange(files, from, to) {
+  const firstDay = new Date(from.getTime() - DAY_MS).toISOString().split('T')[0];
+  const lastDay = new Date(to.getTime() + DAY_MS).toISOString().split('T')[0];
+  return files.filter(file => {
+    const match = path.basename(file).match(/(\d{4})-(\d{2})-(\d{2})/);
+    if (!match) return true;
+    const day = `${match[1]}-${match[2]}-${match[3]}`;
+    return day >= firstDay && day <= lastDay;
+  });
+}
+
+// Value columns (value and the flattened value_* fields) of a DESCRIBE result.
+// Aggregates other than `last` only apply to numeric columns.
+function getValueColumns(described, agg) {
+  return described
+    .filter(column => column.column_name === 'value' || (column.column_name.startsWith('value_') && column.column_name !== 'value_json'))
+    .filter(column => agg === 'last' || !agg || NUMERIC_TYPE_PATTERN.test(column.column_type))
+    .map(column => column.column_name);
+}
+
+// Query over a table expression: raw records when `bucketSeconds` is null, otherwise
+// one row per bucket with the aggregate of each value column and the sample count
+function buildDataQuery(source, columns, options) {
+  const { from, to, bucketSeconds, agg, limit } = options;
+  const selected = columns.map(sqlIdentifier);
+  const filtered = `SELECT CAST(received_timestamp AS TIMESTAMP) AS time${selected.map(column => `, ${column}`).join('')}
+    FROM ${source}
+    WHERE CAST(received_timestamp AS TIMESTAMP) >= ${sqlTimestamp(from)} AND CAST(received_timestamp AS TIMESTAMP) < ${sqlTimestamp(to)}`;
+
+  if (!bucketSeconds) {
+    return `SELECT * FROM (${filtered}) ORDER BY time LIMIT ${limit}`;
+  }
+
+  const aggregates = selected.map(column => `, ${AGGREGATES[agg](column)} AS ${column}`).join('');
+  return `SELECT time_bucket(INTERVAL '${bucketSeconds} seconds', time) AS time${aggregates}, count(*) AS samples
+    FROM (${filtered})
+    GROUP BY 1
+    ORDER BY 1
+    LIMIT ${limit}`;
+}
+
+function toCsvValue(value) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// CSV text with a header row
+function toCsv(rows, columns) {
+  const lines = [columns.map(toCsvValue).join(',')];
+  rows.forEach(row => lines.push(columns.map(column => toCsvValue(row[column])).join(',')));
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  AGGREGATES,
+  MAX_ROWS,
+  parseBucket,
+  parseTime,
+  filesInRange,
+  getValueColumns,
+  buildDataQuery,
+  toCsv
+};
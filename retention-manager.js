@@ -0,0 +1,178 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { isPartitionDir } = require('./partition-layout');
+const { findPathConfig } = require('./path-pattern');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Applies retention rules to the output directory: old processed source files,
+// consolidated daily files and failed files are deleted or moved to an archive.
+// Raw (not yet consolidated) files are never touched.
+class RetentionManager {
+  constructor(options = {}) {
+    this.app = options.app; // SignalK app instance for logging
+  }
+
+  // Build the effective retention settings from the plugin configuration
+  getSettings(config) {
+    const retention = config.retention || {};
+    return {
+      processedDays: config.retentionDays || 7,
+      consolidatedDays: retention.consolidatedDays ?? 0, // 0 = keep forever
+      failedDays: retention.failedDays ?? 30,
+      action: retention.action === 'archive' ? 'archive' : 'delete',
+      archiveDirectory: retention.archiveDirectory || path.join(config.outputDirectory, '..', 'zennora-signalk-parquet-archive'),
+      pathOverrides: (retention.pathOverrides || []).filter(o => o && o.path)
+    };
+  }
+
+  // Days to keep a file of the given category for a SignalK path (0 = forever).
+  // Overrides are matched like path configs: an exact path wins, then the most
+  // specific (longest) pattern.
+  getRetentionDays(settings, category, signalkPath) {
+    const override = signalkPath ? findPathConfig(settings.pathOverrides, signalkPath) : null;
+
+    if (override && override.days !== undefined && override.days !== null && override.days !== '') {
+      return Number(override.days);
+    }
+
+    switch (category) {
+      case 'processed': return settings.processedDays;
+      case 'consolidated': return settings.consolidatedDays;
+      case 'failed': return settings.failedDays;
+      default: return 0;
+    }
+  }
+
+  // Find files that are past their retention period. Returns a report without changing anything.
+  async findExpiredFiles(config, now = new Date()) {
+    const settings = this.getSettings(config);
+    const outputDir = config.outputDirectory;
+    const expired = [];
+
+    if (!(await fs.pathExists(outputDir))) {
+      return { settings, expired };
+    }
+
+    const archiveDir = path.resolve(settings.archiveDirectory);
+
+    const walkDir = async (dir) => {
+      const items = await fs.readdir(dir);
+
+      for (const item of items) {
+        const itemPath = path.join(dir, item);
+        const stat = await fs.stat(itemPath);
+
+        if (stat.isDirectory()) {
+          // Never re-apply retention to files already moved into an archive inside the output tree
+          if (path.resolve(itemPath) !== archiveDir) {
+            await walkDir(itemPath);
+          }
+          continue;
+        }
+
+        const fileInfo = this.classifyFile(outputDir, itemPath);
+        if (!fileInfo) continue;
+
+        const days = this.getRetentionDays(settings, fileInfo.category, fileInfo.signalkPath);
+        if (!days || days <= 0) continue;
+
+        const fileDate = this.getFileDate(item, stat);
+        const ageDays = (now.getTime() - fileDate.getTime()) / DAY_MS;
+
+        if (ageDays > days) {
+          expired.push({
+            file: itemPath,
+            category: fileInfo.category,
+            path: fileInfo.signalkPath,
+            ageDays: Math.floor(ageDays),
+            retentionDays: days,
+            size: stat.size
+          });
+        }
+      }
+    };
+
+    await walkDir(outputDir);
+    return { settings, expired };
+  }
+
+  // Work out which retention category a file belongs to and which SignalK path it holds
+  classifyFile(outputDir, filePath) {
+    const relativeParts = path.relative(outputDir, filePath).split(path.sep);
+    const filename = relativeParts.pop();
+    const parentDir = relativeParts[relativeParts.length - 1];
+
+    let category;
+    if (parentDir === 'processed') {
+      category = 'processed';
+      relativeParts.pop();
+    } else if (parentDir === 'failed') {
+      category = 'failed';
+      relativeParts.pop();
+    } else if (filename.includes('_consolidated')) {
+      category = 'consolidated';
+    } else {
+      return null;
+    }
+
+    // Directory layout is <context type>/<context id>/<signalk path segments>[/<date partitions>]
+    const signalkPath = relativeParts.slice(2).filter(part => !isPartitionDir(part)).join('.');
+    return { category, signalkPath };
+  }
+
+  // Date a file's data belongs to: the date in its filename, falling back to its modification time
+  getFileDate(filename, stat) {
+    const match = filename.match(/(\d{4})-?(\d{2})-?(\d{2})/);
+    if (match) {
+      const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+      if (!isNaN(date.getTime())) {
+        return date;
+      }
+    }
+    return stat.mtime;
+  }
+
+  // Apply retention: delete or archive every expired file. With dryRun only the report is returned.
+  async run(config, options = {}) {
+    const { settings, expired } = await this.findExpiredFiles(config, options.now);
+    const dryRun = Boolean(options.dryRun);
+    let removed = 0;
+    let bytes = 0;
+    const errors = [];
+
+    if (!dryRun) {
+      for (const entry of expired) {
+        try {
+          if (settings.action === 'archive') {
+            const archivePath = path.join(settings.archiveDirectory, path.relative(config.outputDirectory, entry.file));
+            await fs.move(entry.file, archivePath, { overwrite: true });
+          } else {
+            await fs.remove(entry.file);
+          }
+          removed++;
+          bytes += entry.size;
+        } catch (error) {
+          errors.push({ file: entry.file, error: error.message });
+        }
+      }
+
+      if (removed > 0) {
+        this.app && this.app.debug(`🧹 Retention ${settings.action === 'archive' ? 'archived' : 'deleted'} ${removed} files (${Math.round(bytes / 1024)} KB)`);
+      }
+    }
+
+    return {
+      dryRun,
+      action: settings.action,
+      archiveDirectory: settings.action === 'archive' ? settings.archiveDirectory : null,
+      fileCount: expired.length,
+      totalBytes: expired.reduce((sum, entry) => sum + entry.size, 0),
+      removed,
+      errors,
+      files: expired
+    };
+  }
+}
+
+module.exports = RetentionManager;
@@ -0,0 +1,255 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// Try to import ParquetJS, fall back if not available
+let parquet;
+try {
+  parquet = require('@dsnp/parquetjs');
+} catch (error) {
+  parquet = null;
+}
+
+const INPROGRESS_SUFFIX = '.inprogress';
+const DEFAULT_MAX_OPEN_FILES = 100; // Each open file holds a file descriptor, and AIS targets add a directory each
+
+// Keeps one Parquet file open per path directory for a time window (an hour by
+// default) and appends each buffer flush to it as a row group. Open files are
+// written as `<name>.parquet.inprogress` and renamed to `.parquet` when the window
+// ends or on shutdown, so DuckDB globs never see a file without its footer. With
+// more than `maxOpenFiles` open, the least recently written one is closed early.
+class RollingParquetWriter {
+  constructor(options = {}) {
+    this.app = options.app; // SignalK app instance for logging
+    this.parquetWriter = options.parquetWriter; // ParquetWriter for schemas and type conversion
+    this.windowMinutes = options.windowMinutes || 60;
+    this.onFileClosed = options.onFileClosed; // Called with the final path of every finalized file
+    this.maxOpenFiles = Number(options.maxOpenFiles) > 0 ? Number(options.maxOpenFiles) : DEFAULT_MAX_OPEN_FILES;
+    this.ready = options.ready || Promise.resolve(); // Appends wait for this, e.g. removeIncompleteFiles
+    this.openFiles = new Map(); // path directory -> open file entry
+    this.queues = new Map(); // path directory -> promise chain serializing work on its file
+  }
+
+  static isAvailable() {
+    return Boolean(parquet);
+  }
+
+  // Delete Parquet files left open by a crash, and temporary files of interrupted
+  // consolidations. Their footer was never written so they can't be read; the
+  // records in them are still in the write-ahead log or the source files. Skips
+  // processed/, hidden directories and `skipDirectories` (e.g. an archive in the
+  // output directory), which never hold open files. Resolves to the number removed.
+  static async removeIncompleteFiles(dir, skipDirectories = []) {
+    let removed = 0;
+    if (!(await fs.pathExists(dir))) return removed;
+    const skip = new Set(skipDirectories.map(skipDir => path.resolve(skipDir)));
+
+    const walkDir = async (currentDir) => {
+      for (const item of await fs.readdir(currentDir)) {
+        const itemPath = path.join(currentDir, item);
+        const stat = await fs.stat(itemPath);
+
+        if (stat.isDirectory()) {
+          if (!item.startsWith('.') && item !== 'processed' && !skip.has(path.resolve(itemPath))) {
+            await walkDir(itemPath);
+          }
+        } else if (item.endsWith(INPROGRESS_SUFFIX) && item.includes('.parquet')) {
+          await fs.remove(itemPath);
+          removed++;
+        }
+      }
+    };
+
+    await walkDir(dir);
+    return removed;
+  }
+
+  // Start of the window a time falls in, formatted like the plugin's file timestamps (YYYY-MM-DDTHHMM)
+  getWindow(time) {
+    const windowMs = this.windowMinutes * 60 * 1000;
+    const start = Math.floor(time / windowMs) * windowMs;
+    return {
+      start: start,
+      end: start + windowMs,
+      stamp: new Date(start).toISOString().replace(/[:.]/g, '').slice(0, 15)
+    };
+  }
+
+  // Append records to the open file of their path directory, opening or rotating
+  // as needed. `segment` is the write-ahead log segment the records were journaled in.
+  append(dirPath, filenamePrefix, records, segment) {
+    const firstTime = new Date(records[0].received_timestamp).getTime();
+    const window = this.getWindow(isNaN(firstTime) ? Date.now() : firstTime);
+
+    return this.enqueue(dirPath, async () => {
+      await this.ready;
+      return this.appendToFile(dirPath, filenamePrefix, records, segment, window);
+    });
+  }
+
+  // Serialize all work on a directory's file
+  enqueue(dirPath, task) {
+    const queue = (this.queues.get(dirPath) || Promise.resolve())
+      .catch(() => {})
+      .then(task);
+    this.queues.set(dirPath, queue);
+    return queue;
+  }
+
+  async appendToFile(dirPath, filenamePrefix, records, segment, window) {
+    let entry = this.openFiles.get(dirPath);
+
+    // A new window, columns the open file's schema doesn't have, or a column typed
+    // while it only held nulls getting values, need a new file
+    if (entry && entry.writer) {
+      const schemaFields = await this.parquetWriter.getPathSchemaFields(entry.finalPath, records);
+      const schemaChanged = Object.entries(schemaFields).some(([key, field]) => !entry.schemaFields[key] || entry.schemaFields[key].type !== field.type);
+      if (entry.window.start !== window.start || schemaChanged) {
+        await this.finalize(entry);
+        entry = this.openFiles.get(dirPath);
+      }
+    }
+
+    if (!entry || !entry.writer) {
+      this.closeLeastRecentlyWritten();
+      entry = await this.openFile(dirPath, filenamePrefix, records, window);
+    }
+    entry.lastWrite = Date.now();
+
+    try {
+      // One row group per flush, unless a row-group size is configured for the path
+      entry.writer.setRowGroupSize(entry.settings.rowGroupSize || records.length);
+      for (const record of records) {
+        await entry.writer.appendRow(this.parquetWriter.prepareRecordForParquet(record, entry.schemaFields));
+      }
+      entry.rowCount += records.length;
+      if (segment !== null && segment !== undefined) {
+        entry.minSegment = Math.min(entry.minSegment, segment);
+      }
+      return entry.finalPath;
+    } catch (error) {
+      this.app && this.app.debug(`❌ Appending to ${entry.tempPath} failed:`, error.message);
+      await this.finalize(entry);
+      throw error;
+    }
+  }
+
+  async openFile(dirPath, filenamePrefix, records, window) {
+    await fs.ensureDir(dirPath);
+
+    // Don't overwrite a finished file of the same window (e.g. after a restart or a schema change)
+    let filename = `${filenamePrefix}_${window.stamp}.parquet`;
+    for (let n = 1; await fs.pathExists(path.join(dirPath, filename)) || await fs.pathExists(path.join(dirPath, filename + INPROGRESS_SUFFIX)); n++) {
+      filename = `${filenamePrefix}_${window.stamp}_${n}.parquet`;
+    }
+
+    const finalPath = path.join(dirPath, filename);
+    const schemaFields = { ...(await this.parquetWriter.getPathSchemaFields(finalPath, records)) };
+    const settings = this.parquetWriter.getEncodingSettings(records[0].path);
+    const schema = this.parquetWriter.createWriterSchema(schemaFields, settings);
+
+    const entry = {
+      dirPath: dirPath,
+      finalPath: finalPath,
+      tempPath: finalPath + INPROGRESS_SUFFIX,
+      window: window,
+      schemaFields: schemaFields,
+      settings: settings,
+      metadata: this.parquetWriter.getFileMetadata(finalPath), // The path's SignalK meta when the file was opened
+      rowCount: 0,
+      minSegment: Infinity,
+      lastWrite: Date.now(),
+      closing: false, // Queued to close to make room for other files
+      writer: null
+    };
+    entry.writer = await parquet.ParquetWriter.openFile(schema, entry.tempPath);
+    this.openFiles.set(dirPath, entry);
+
+    this.app && this.app.debug(`📂 Opened ${path.basename(finalPath)} for ${window.stamp} in ${dirPath}`);
+    return entry;
+  }
+
+  // Write the footer and rename the file to its final name (recompressing it if its
+  // settings need DuckDB). Resolves to false if that failed.
+  async finalize(entry) {
+    if (!entry.writer) return true;
+    const writer = entry.writer;
+    entry.writer = null;
+
+    try {
+      this.parquetWriter.applyFileMetadata(writer, entry.metadata);
+      await writer.close();
+      await this.parquetWriter.finishFile(entry.tempPath, entry.finalPath, entry.settings, entry.metadata);
+      this.app && this.app.debug(`✅ Finalized ${entry.finalPath} (${entry.rowCount} records)`);
+      if (this.onFileClosed) {
+        this.onFileClosed(entry.finalPath);
+      }
+      return true;
+    } catch (error) {
+      this.app && this.app.debug(`❌ Error finalizing ${entry.finalPath}:`, error.message);
+      return false;
+    } finally {
+      if (this.openFiles.get(entry.dirPath) === entry) {
+        this.openFiles.delete(entry.dirPath);
+      }
+    }
+  }
+
+  // Make room for one more open file by closing the least recently written one.
+  // The close is queued on that file's directory, not awaited, as its queue may be
+  // waiting for this one.
+  closeLeastRecentlyWritten() {
+    const open = Array.from(this.openFiles.values()).filter(entry => entry.writer && !entry.closing);
+    if (open.length < this.maxOpenFiles) return;
+
+    const oldest = open.reduce((a, b) => (b.lastWrite < a.lastWrite ? b : a));
+    oldest.closing = true;
+    this.app && this.app.debug(`📁 ${this.maxOpenFiles} files open, closing ${oldest.finalPath} early`);
+    this.closeEntry(oldest);
+  }
+
+  // Finalize files whose window has ended
+  async closeExpired(now = Date.now()) {
+    const closing = [];
+    this.openFiles.forEach(entry => {
+      if (entry.window.end <= now) {
+        closing.push(this.closeEntry(entry));
+      }
+    });
+    await Promise.allSettled(closing);
+  }
+
+  // Finalize every open file (rotation at shutdown). Resolves to true if all of them closed cleanly.
+  async closeAll() {
+    const results = await Promise.allSettled(Array.from(this.openFiles.values()).map(entry => this.closeEntry(entry)));
+    return results.every(result => result.status === 'fulfilled' && result.value);
+  }
+
+  // Finalize after the appends queued on the file have finished
+  closeEntry(entry) {
+    return this.enqueue(entry.dirPath, () => this.finalize(entry));
+  }
+
+  // Oldest write-ahead log segment with records in a file that is still open;
+  // segments from this one on can't be committed yet
+  getOldestOpenSegment() {
+    let oldest = Infinity;
+    this.openFiles.forEach(entry => {
+      if (entry.writer) {
+        oldest = Math.min(oldest, entry.minSegment);
+      }
+    });
+    return oldest;
+  }
+
+  getStatus() {
+    return Array.from(this.openFiles.values())
+      .filter(entry => entry.writer)
+      .map(entry => ({
+        file: entry.finalPath,
+        window: entry.window.stamp,
+        rowCount: entry.rowCount
+      }));
+  }
+}
+
+module.exports = RollingParquetWriter;
@@ -0,0 +1,126 @@
+// Source selection for path configs. The `source` field can be
+//
+//   a single $source           "n2k-on-ve.can-socket.43"
+//   a list                     "gps1.GP, gps2.GP"  or  ["gps1.GP", "gps2.GP"]
+//   a regular expression       "/^n2k-on-ve\.can-socket\.(43|44)$/"
+//
+// and SourcePriorities applies the server's source priorities (Data Connections →
+// Source Priorities) to mark the value the server would pick from several sources.
+
+const DEFAULT_PRIORITY_TIMEOUT = 10000; // ms a higher priority source may be silent before a lower one takes over
+
+const filterCache = new Map();
+
+function hasSourceFilter(source) {
+  if (Array.isArray(source)) return source.some(item => String(item).trim() !== '');
+  return typeof source === 'string' && source.trim() !== '';
+}
+
+// Compile a source filter into a test function. Throws on an invalid regular expression.
+function compileSourceFilter(source) {
+  if (Array.isArray(source)) {
+    const sources = new Set(source.map(item => String(item).trim()).filter(Boolean));
+    return sourceRef => sources.has(sourceRef);
+  }
+
+  const text = source.trim();
+  const regexMatch = text.match(/^\/(.*)\/([a-z]*)$/);
+  if (regexMatch) {
+    const regex = new RegExp(regexMatch[1], regexMatch[2]);
+    return sourceRef => regex.test(sourceRef);
+  }
+
+  const sources = new Set(text.split(',').map(item => item.trim()).filter(Boolean));
+  return sourceRef => sources.has(sourceRef);
+}
+
+// Does a source pass a path config's filter? No filter lets every source through.
+function matchesSourceFilter(source, sourceRef) {
+  if (!hasSourceFilter(source)) return true;
+  if (!sourceRef) return false;
+
+  const key = JSON.stringify(source);
+  if (!filterCache.has(key)) {
+    filterCache.set(key, compileSourceFilter(source));
+  }
+  return filterCache.get(key)(sourceRef);
+}
+
+// Error message for an invalid source filter, or null
+function validateSourceFilter(source) {
+  if (!hasSourceFilter(source)) return null;
+  try {
+    compileSourceFilter(source);
+    return null;
+  } catch (error) {
+    return `Invalid source pattern: ${error.message}`;
+  }
+}
+
+// The $source of an update
+function getSourceRef(update) {
+  return update.$source || (update.source ? update.source.label : null);
+}
+
+// Mirrors the server's priority handling: a value is preferred when it comes from the
+// source currently in use, from a source listed at least as high, or when the source
+// in use has been silent for longer than the incoming source's timeout. Paths without
+// priorities accept every source, as the server does.
+class SourcePriorities {
+  constructor(options = {}) {
+    this.app = options.app; // SignalK app instance, for the server's settings
+    this.current = new Map(); // `${context}:${path}` -> { sourceRef, time } of the source in use
+    this.precedences = new Map(); // path -> Map(sourceRef -> { precedence, timeout })
+    this.loadedFrom = null; // Settings object the precedences were built from
+  }
+
+  getPrecedences() {
+    const settings = this.app && this.app.config && this.app.config.settings;
+    const priorities = (settings && settings.sourcePriorities) || {};
+
+    // Rebuild when the server's settings object changes
+    if (priorities !== this.loadedFrom) {
+      this.precedences = new Map();
+      Object.entries(priorities).forEach(([signalkPath, entries]) => {
+        const bySource = new Map();
+        (Array.isArray(entries) ? entries : []).forEach((entry, index) => {
+          const timeout = Number(entry.timeout);
+          bySource.set(entry.sourceRef, { precedence: index, timeout: timeout > 0 ? timeout : DEFAULT_PRIORITY_TIMEOUT });
+        });
+        this.precedences.set(signalkPath, bySource);
+      });
+      this.loadedFrom = priorities;
+    }
+    return this.precedences;
+  }
+
+  isPreferred(context, signalkPath, sourceRef, time = Date.now()) {
+    const pathPrecedences = this.getPrecedences().get(signalkPath);
+    if (!pathPrecedences) return true;
+
+    const key = `${context}:${signalkPath}`;
+    const current = this.current.get(key);
+    let preferred = true;
+
+    if (current && current.sourceRef !== sourceRef) {
+      const lowest = { precedence: Infinity, timeout: DEFAULT_PRIORITY_TIMEOUT };
+      const currentPrecedence = pathPrecedences.get(current.sourceRef) || lowest;
+      const incomingPrecedence = pathPrecedences.get(sourceRef) || lowest;
+      preferred = incomingPrecedence.precedence <= currentPrecedence.precedence ||
+        time - current.time > incomingPrecedence.timeout;
+    }
+
+    if (preferred) {
+      this.current.set(key, { sourceRef, time });
+    }
+    return preferred;
+  }
+}
+
+module.exports = {
+  hasSourceFilter,
+  matchesSourceFilter,
+  validateSourceFilter,
+  getSourceRef,
+  SourcePriorities
+};
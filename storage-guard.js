@@ -0,0 +1,281 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { statfs } = require('fs').promises;
+const { findPathConfig } = require('./path-pattern');
+const { isPartitionDir } = require('./partition-layout');
+
+const MB = 1024 * 1024;
+const ACTIONS = ['pause-low-priority', 'purge-processed', 'refuse-writes'];
+
+function formatBytes(bytes) {
+  if (bytes >= 1024 * MB) return `${(bytes / 1024 / MB).toFixed(1)} GB`;
+  if (bytes >= MB) return `${Math.round(bytes / MB)} MB`;
+  return `${Math.round(bytes / 1024)} KB`;
+}
+
+// Keeps the plugin from filling its disk. Each check compares the free space of
+// the output directory's file system with a minimum and the size of the output
+// directory (and of path directories with their own quota) with a quota. When a
+// limit is hit the configured action is taken:
+//
+//   pause-low-priority  stop recording paths with priority "low"
+//   purge-processed     delete the oldest processed/ files (already consolidated)
+//   refuse-writes       stop writing new files
+//
+// Below half the minimum free space every action also refuses new files, so
+// failed/ doesn't take what's left. Records of paused or refused paths are dropped.
+class StorageGuard {
+  constructor(options = {}) {
+    this.app = options.app; // SignalK app instance for logging and the plugin status
+    this.retentionManager = options.retentionManager; // For file dates and path patterns
+    this.blockedDirs = new Map(); // path directory -> 'paused' or 'refused', for paths over their own quota
+    this.dropped = { paused: 0, refused: 0 }; // Records dropped since startup
+    this.lastStatus = null;
+    this.state = { enabled: false, level: 'ok', freeBytes: null, pausingLowPriority: false, refusing: false };
+  }
+
+  // Build the effective storage settings from the plugin configuration
+  getSettings(config) {
+    const storage = config.storage || {};
+    return {
+      enabled: storage.enabled !== false,
+      minFreeBytes: (storage.minFreeMB ?? 200) * MB,
+      quotaBytes: (storage.quotaMB || 0) * MB, // 0 = no quota
+      action: ACTIONS.includes(storage.action) ? storage.action : 'purge-processed',
+      pathQuotas: (storage.pathQuotas || []).filter(q => q && q.path && Number(q.quotaMB) > 0)
+    };
+  }
+
+  // Quota of a path directory from its exact path or the most specific matching
+  // pattern, as path configs are matched, or 0
+  getPathQuota(settings, signalkPath) {
+    const quota = findPathConfig(settings.pathQuotas, signalkPath);
+    return quota ? Number(quota.quotaMB) * MB : 0;
+  }
+
+  // Free space of the file system holding a directory, or null where Node can't tell
+  async getFreeBytes(dir) {
+    if (!statfs) return null;
+    const stats = await statfs(dir);
+    return stats.bavail * stats.bsize;
+  }
+
+  // Size of the output directory, of each path directory and the processed files in them
+  async measureUsage(config) {
+    const outputDir = config.outputDirectory;
+    const archiveDir = path.resolve(this.retentionManager.getSettings(config).archiveDirectory);
+    const usage = { totalBytes: 0, pathDirs: new Map(), processed: [] };
+
+    const walkDir = async (dir, classify) => {
+      for (const item of await fs.readdir(dir)) {
+        const itemPath = path.join(dir, item);
+        const stat = await fs.stat(itemPath);
+        if (stat.isDirectory()) {
+          // An archive inside the output tree counts towards the quota but holds no recorded paths
+          await walkDir(itemPath, classify && path.resolve(itemPath) !== archiveDir);
+          continue;
+        }
+        usage.totalBytes += stat.size;
+
+        // Directory layout is <context type>/<context id>/<signalk path segments>[/<partitions>][/processed|failed];
+        // internal directories (.wal, .tmp) don't belong to a path
+        const parts = path.relative(outputDir, dir).split(path.sep);
+        if (!classify || parts.length < 3 || parts[0].startsWith('.')) continue;
+
+        const pathParts = parts.filter(part => part !== 'processed' && part !== 'failed' && !isPartitionDir(part));
+        const pathDir = path.join(outputDir, ...pathParts);
+        if (!usage.pathDirs.has(pathDir)) {
+          usage.pathDirs.set(pathDir, { signalkPath: pathParts.slice(2).join('.'), bytes: 0 });
+        }
+        usage.pathDirs.get(pathDir).bytes += stat.size;
+
+        if (path.basename(dir) === 'processed') {
+          usage.processed.push({ file: itemPath, pathDir, size: stat.size, date: this.retentionManager.getFileDate(item, stat) });
+        }
+      }
+    };
+
+    if (await fs.pathExists(outputDir)) {
+      await walkDir(outputDir, true);
+    }
+    return usage;
+  }
+
+  // Delete the oldest processed files until `bytesNeeded` are freed
+  async purgeProcessed(files, bytesNeeded) {
+    const purged = { files: 0, bytes: 0 };
+    const oldestFirst = files.slice().sort((a, b) => a.date - b.date || a.file.localeCompare(b.file));
+    for (const entry of oldestFirst) {
+      if (purged.bytes >= bytesNeeded) break;
+      try {
+        await fs.remove(entry.file);
+        entry.purged = true;
+        purged.files++;
+        purged.bytes += entry.size;
+      } catch (error) {
+        this.app && this.app.debug(`⚠️ Could not purge ${entry.file}:`, error.message);
+      }
+    }
+    return purged;
+  }
+
+  // Check the limits, take the configured action and update the plugin status
+  async check(config) {
+    const settings = this.getSettings(config);
+    if (!settings.enabled) {
+      this.blockedDirs = new Map();
+      this.state = { enabled: false, level: 'ok', freeBytes: null, pausingLowPriority: false, refusing: false };
+      this.clearStatus();
+      return this.state;
+    }
+
+    let freeBytes = await this.getFreeBytes(config.outputDirectory);
+    const lowOnSpace = () => freeBytes !== null && freeBytes < settings.minFreeBytes;
+
+    // Walking the output tree is only needed for quotas and for purging
+    const needsUsage = settings.quotaBytes > 0 || settings.pathQuotas.length > 0 ||
+      (settings.action === 'purge-processed' && lowOnSpace());
+    const usage = needsUsage ? await this.measureUsage(config) : null;
+
+    const overQuotaPaths = () => usage
+      ? Array.from(usage.pathDirs, ([pathDir, dirUsage]) => ({ pathDir, ...dirUsage, quotaBytes: this.getPathQuota(settings, dirUsage.signalkPath) }))
+        .filter(dirUsage => dirUsage.quotaBytes > 0 && dirUsage.bytes > dirUsage.quotaBytes)
+      : [];
+    const overQuota = () => Boolean(usage) && settings.quotaBytes > 0 && usage.totalBytes > settings.quotaBytes;
+
+    const purged = { files: 0, bytes: 0 };
+    if (settings.action === 'purge-processed') {
+      const purge = async (files, bytesNeeded) => {
+        const result = await this.purgeProcessed(files.filter(entry => !entry.purged), bytesNeeded);
+        purged.files += result.files;
+        purged.bytes += result.bytes;
+        return result.bytes;
+      };
+
+      for (const dirUsage of overQuotaPaths()) {
+        const bytes = await purge(usage.processed.filter(entry => entry.pathDir === dirUsage.pathDir), dirUsage.bytes - dirUsage.quotaBytes);
+        usage.pathDirs.get(dirUsage.pathDir).bytes -= bytes;
+        usage.totalBytes -= bytes;
+      }
+      if (usage && (lowOnSpace() || overQuota())) {
+        const bytesNeeded = Math.max(
+          freeBytes !== null ? settings.minFreeBytes - freeBytes : 0,
+          settings.quotaBytes > 0 ? usage.totalBytes - settings.quotaBytes : 0
+        );
+        const bytes = await purge(usage.processed, bytesNeeded);
+        usage.totalBytes -= bytes;
+      }
+      if (purged.files > 0) {
+        freeBytes = await this.getFreeBytes(config.outputDirectory);
+        this.app && this.app.debug(`🧹 Storage guard purged ${purged.files} processed files (${formatBytes(purged.bytes)})`);
+      }
+    }
+
+    const reasons = [];
+    if (lowOnSpace()) {
+      reasons.push(`${formatBytes(freeBytes)} free, below the minimum of ${formatBytes(settings.minFreeBytes)}`);
+    }
+    if (overQuota()) {
+      reasons.push(`output directory uses ${formatBytes(usage.totalBytes)} of its ${formatBytes(settings.quotaBytes)} quota`);
+    }
+    const limitHit = reasons.length > 0;
+    const critical = freeBytes !== null && freeBytes < settings.minFreeBytes / 2;
+
+    // Paths over their own quota are paused or refused on their own
+    const blockedDirs = new Map();
+    const blockedPaths = overQuotaPaths().map(dirUsage => {
+      const block = settings.action === 'pause-low-priority' ? 'paused' : settings.action === 'refuse-writes' ? 'refused' : null;
+      if (block) blockedDirs.set(dirUsage.pathDir, block);
+      return {
+        directory: path.relative(config.outputDirectory, dirUsage.pathDir),
+        path: dirUsage.signalkPath,
+        bytes: dirUsage.bytes,
+        quotaBytes: dirUsage.quotaBytes,
+        block
+      };
+    });
+
+    const state = {
+      enabled: true,
+      checkedAt: new Date().toISOString(),
+      level: critical ? 'critical' : limitHit || blockedPaths.length > 0 ? 'low' : 'ok',
+      action: settings.action,
+      freeBytes,
+      minFreeBytes: settings.minFreeBytes,
+      usedBytes: usage ? usage.totalBytes : null,
+      quotaBytes: settings.quotaBytes,
+      reasons,
+      pausingLowPriority: limitHit && settings.action === 'pause-low-priority',
+      refusing: critical || (limitHit && settings.action === 'refuse-writes'),
+      blockedPaths,
+      purged,
+      dropped: this.dropped
+    };
+    if (state.level !== this.state.level) {
+      this.app && this.app.debug(`💽 Storage ${state.level}${reasons.length > 0 ? `: ${reasons.join('; ')}` : ''}`);
+    }
+
+    this.blockedDirs = blockedDirs;
+    this.state = state;
+    this.reportStatus(state);
+    return state;
+  }
+
+  // Why records of a path directory aren't written right now: 'paused', 'refused' or null
+  getBlock(pathDir, pathConfig) {
+    if (!this.state.enabled) return null;
+    if (this.state.refusing) return 'refused';
+    if (this.blockedDirs.has(pathDir)) return this.blockedDirs.get(pathDir);
+    if (this.state.pausingLowPriority && pathConfig && pathConfig.priority === 'low') return 'paused';
+    return null;
+  }
+
+  countDropped(block, records = 1) {
+    this.dropped[block] += records;
+  }
+
+  describe(state) {
+    if (state.level === 'ok') {
+      const parts = [];
+      if (state.freeBytes != null) parts.push(`${formatBytes(state.freeBytes)} free`);
+      if (state.quotaBytes > 0) parts.push(`${formatBytes(state.usedBytes)} of ${formatBytes(state.quotaBytes)} quota used`);
+      return `Storage OK${parts.length > 0 ? `: ${parts.join(', ')}` : ''}`;
+    }
+
+    const parts = [...state.reasons];
+    if (state.refusing) {
+      parts.push('refusing new files');
+    } else if (state.pausingLowPriority) {
+      parts.push('low-priority paths paused');
+    }
+    const blocked = state.blockedPaths.filter(entry => entry.block);
+    if (blocked.length > 0) {
+      parts.push(`${blocked.length} path${blocked.length === 1 ? '' : 's'} over quota ${blocked[0].block}`);
+    } else if (state.blockedPaths.length > 0) {
+      parts.push(`${state.blockedPaths.length} path${state.blockedPaths.length === 1 ? '' : 's'} over quota`);
+    }
+    return `${state.level === 'critical' ? 'Storage critical' : 'Low storage'}: ${parts.join('; ')}`;
+  }
+
+  // Show the state in the server's plugin list, as an error while files are refused
+  reportStatus(state) {
+    const message = this.describe(state);
+    if (!this.app || message === this.lastStatus) return;
+    this.lastStatus = message;
+
+    if (state.refusing || state.level === 'critical') {
+      this.app.setPluginError && this.app.setPluginError(message);
+    } else {
+      this.app.setPluginStatus && this.app.setPluginStatus(message);
+    }
+  }
+
+  // Take the guard's message off the plugin status, when it is disabled or the plugin stops
+  clearStatus() {
+    if (!this.app || this.lastStatus === null) return;
+    this.lastStatus = null;
+    this.app.setPluginStatus && this.app.setPluginStatus('');
+  }
+}
+
+module.exports = StorageGuard;
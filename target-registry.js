@@ -0,0 +1,198 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// Try to import ParquetJS, fall back if not available
+let parquet;
+try {
+  parquet = require('@dsnp/parquetjs');
+} catch (error) {
+  parquet = null;
+}
+
+const REGISTRY_SCHEMA_FIELDS = {
+  context: { type: 'UTF8' },
+  context_type: { type: 'UTF8', optional: true },
+  mmsi: { type: 'UTF8', optional: true },
+  name: { type: 'UTF8', optional: true },
+  callsign: { type: 'UTF8', optional: true },
+  ship_type_id: { type: 'INT64', optional: true },
+  ship_type_name: { type: 'UTF8', optional: true },
+  first_seen: { type: 'TIMESTAMP_MILLIS', optional: true },
+  last_seen: { type: 'TIMESTAMP_MILLIS', optional: true },
+  update_count: { type: 'INT64', optional: true }
+};
+
+// Registry of every AIS target / AtoN / weather station seen through a wildcard
+// context subscription (vessels.*, atons.*, meteo.*). Kept in memory and written
+// to <outputDirectory>/registry/targets.parquet so it can be joined with the
+// per-target data in DuckDB.
+class TargetRegistry {
+  constructor(options = {}) {
+    this.app = options.app; // SignalK app instance for logging and model lookups
+    this.outputDirectory = options.outputDirectory;
+    this.targets = new Map(); // context -> registry entry
+    this.dirty = false;
+    this.saving = Promise.resolve(); // Chain serializing the load and writes of the registry file
+  }
+
+  get registryFile() {
+    return path.join(this.outputDirectory, 'registry', parquet ? 'targets.parquet' : 'targets.json');
+  }
+
+  // Load a previously saved registry so first_seen survives restarts. Targets seen
+  // while it loads are merged with their saved rows, not replaced by them, and saves
+  // wait for it, so they can't overwrite the file with only those targets.
+  load() {
+    this.saving = this.saving
+      .catch(() => {})
+      .then(() => this.readRegistry());
+    return this.saving;
+  }
+
+  async readRegistry() {
+    const file = this.registryFile;
+    if (!(await fs.pathExists(file))) return;
+
+    try {
+      let rows = [];
+      if (file.endsWith('.parquet')) {
+        const reader = await parquet.ParquetReader.openFile(file);
+        const cursor = reader.getCursor();
+        let row = null;
+        while ((row = await cursor.next())) {
+          rows.push(row);
+        }
+        await reader.close();
+      } else {
+        rows = await fs.readJson(file);
+      }
+
+      rows.forEach(row => {
+        const saved = {
+          ...row,
+          ship_type_id: row.ship_type_id !== null && row.ship_type_id !== undefined ? Number(row.ship_type_id) : null,
+          update_count: Number(row.update_count || 0),
+          first_seen: row.first_seen ? new Date(row.first_seen) : null,
+          last_seen: row.last_seen ? new Date(row.last_seen) : null
+        };
+        const entry = this.targets.get(row.context);
+        if (!entry) {
+          this.targets.set(row.context, saved);
+          return;
+        }
+
+        ['mmsi', 'name', 'callsign', 'ship_type_id', 'ship_type_name'].forEach(field => {
+          if (entry[field] === null || entry[field] === undefined) entry[field] = saved[field];
+        });
+        entry.update_count += saved.update_count;
+        if (saved.first_seen && saved.first_seen < entry.first_seen) entry.first_seen = saved.first_seen;
+        if (saved.last_seen && saved.last_seen > entry.last_seen) entry.last_seen = saved.last_seen;
+      });
+      this.app && this.app.debug(`📇 Loaded ${this.targets.size} targets from registry`);
+    } catch (error) {
+      this.app && this.app.debug('Error loading target registry:', error.message);
+    }
+  }
+
+  // Record that a target context was seen, filling in identity fields from the SignalK model
+  touch(context, timestamp) {
+    const seen = timestamp ? new Date(timestamp) : new Date();
+    const when = isNaN(seen.getTime()) ? new Date() : seen;
+    let entry = this.targets.get(context);
+
+    if (!entry) {
+      entry = {
+        context: context,
+        context_type: context.split('.')[0],
+        mmsi: null,
+        name: null,
+        callsign: null,
+        ship_type_id: null,
+        ship_type_name: null,
+        first_seen: when,
+        last_seen: when,
+        update_count: 0
+      };
+      this.targets.set(context, entry);
+      this.app && this.app.debug(`📇 New target in registry: ${context}`);
+    }
+
+    entry.update_count++;
+    if (when > entry.last_seen) entry.last_seen = when;
+    if (when < entry.first_seen) entry.first_seen = when;
+
+    // Static AIS data usually arrives after the first position report, so keep looking until we have it
+    if (!entry.mmsi || !entry.name || entry.ship_type_id === null) {
+      this.refreshIdentity(entry);
+    }
+
+    this.dirty = true;
+  }
+
+  refreshIdentity(entry) {
+    const mmsiMatch = entry.context.match(/mmsi:(\d+)/);
+    entry.mmsi = entry.mmsi || this.getModelValue(entry.context, 'mmsi') || (mmsiMatch ? mmsiMatch[1] : null);
+    entry.name = entry.name || this.getModelValue(entry.context, 'name');
+    entry.callsign = entry.callsign || this.getModelValue(entry.context, 'communication.callsignVhf');
+
+    const shipType = this.getModelValue(entry.context, 'design.aisShipType');
+    if (shipType && typeof shipType === 'object') {
+      entry.ship_type_id = shipType.id !== undefined ? Number(shipType.id) : entry.ship_type_id;
+      entry.ship_type_name = shipType.name || entry.ship_type_name;
+    }
+  }
+
+  getModelValue(context, signalkPath) {
+    if (!this.app || typeof this.app.getPath !== 'function') return null;
+    try {
+      const node = this.app.getPath(`${context}.${signalkPath}`);
+      if (node === undefined || node === null) return null;
+      return typeof node === 'object' && node.value !== undefined ? node.value : node;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  list() {
+    return Array.from(this.targets.values()).sort((a, b) => b.last_seen - a.last_seen);
+  }
+
+  // Write the registry if it changed, through a temp file so readers never see a
+  // partial file. Saves run one at a time, as they share the temp file.
+  save() {
+    this.saving = this.saving
+      .catch(() => {})
+      .then(() => this.writeRegistry());
+    return this.saving;
+  }
+
+  async writeRegistry() {
+    if (!this.dirty) return;
+    this.dirty = false;
+
+    const file = this.registryFile;
+    const tempFile = `${file}.tmp`;
+    const rows = this.list();
+
+    try {
+      await fs.ensureDir(path.dirname(file));
+      if (parquet) {
+        const schema = new parquet.ParquetSchema(REGISTRY_SCHEMA_FIELDS);
+        const writer = await parquet.ParquetWriter.openFile(schema, tempFile);
+        for (const row of rows) {
+          await writer.appendRow(row);
+        }
+        await writer.close();
+      } else {
+        await fs.writeJson(tempFile, rows, { spaces: 2 });
+      }
+      await fs.move(tempFile, file, { overwrite: true });
+      this.app && this.app.debug(`📇 Saved ${rows.length} targets to ${file}`);
+    } catch (error) {
+      this.dirty = true;
+      this.app && this.app.debug('Error saving target registry:', error.message);
+    }
+  }
+}
+
+module.exports = TargetRegistry;
@@ -0,0 +1,41 @@
+// Object values (navigation.position, environment.wind objects, satellitesInView,
+// notifications...) are stored whole in value_json and also spread over value_*
+// columns so they can be queried directly:
+//
+//   { latitude: 1, longitude: 2 }                   value_latitude, value_longitude
+//   { a: { b: { c: 1 } } }                          value_a_b_c
+//   { count: 9, satellites: [ {...}, {...} ] }      value_count, value_satellites (JSON text)
+//
+// Nested keys are joined with `_` down to `maxDepth` levels; an object below that
+// depth and any array become JSON text in their column, so nothing is dropped.
+// Null leaves are left out, so a column's type is set by its first real value.
+
+const DEFAULT_FLATTEN_DEPTH = 3;
+
+function flattenValue(value, maxDepth = DEFAULT_FLATTEN_DEPTH, prefix = 'value', columns = {}) {
+  if (!(maxDepth >= 1)) return columns;
+
+  for (const [key, val] of Object.entries(value)) {
+    const column = `${prefix}_${key}`;
+
+    if (val === null || val === undefined) {
+      continue;
+    } else if (Array.isArray(val)) {
+      columns[column] = JSON.stringify(val);
+    } else if (typeof val === 'object') {
+      if (maxDepth > 1) {
+        flattenValue(val, maxDepth - 1, column, columns);
+      } else {
+        columns[column] = JSON.stringify(val);
+      }
+    } else if (typeof val === 'string' || typeof val === 'number' || typeof val === 'boolean') {
+      columns[column] = val;
+    }
+  }
+  return columns;
+}
+
+module.exports = {
+  DEFAULT_FLATTEN_DEPTH,
+  flattenValue
+};
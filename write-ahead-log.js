@@ -0,0 +1,144 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+const SEGMENT_PATTERN = /^wal_(\d+)\.ndjson$/;
+
+// Append-only journal of buffered records, so a crash or power cut doesn't lose
+// what is still in memory. Records are appended to numbered segment files as
+// newline-delimited JSON. Before the buffers are flushed the current segment is
+// rotated; once every write covering it has finished, the segment (and any older
+// one) is committed, i.e. deleted. Segments left over at startup hold records
+// that never reached a file and are replayed.
+class WriteAheadLog {
+  constructor(options = {}) {
+    this.app = options.app; // SignalK app instance for logging
+    this.directory = options.directory;
+    this.segment = 0;
+    this.fd = null;
+    this.dirty = false;
+    this.syncInterval = null;
+  }
+
+  // List existing segments and start a new one after them. Returns the leftover
+  // segment numbers, which must be replayed before they are committed.
+  open() {
+    fs.ensureDirSync(this.directory);
+    const leftover = this.listSegments();
+    this.segment = leftover.length > 0 ? leftover[leftover.length - 1] + 1 : 1;
+
+    // Written records reach the OS immediately; fsync them to disk once a second
+    this.syncInterval = setInterval(() => this.sync(), 1000);
+    return leftover;
+  }
+
+  listSegments() {
+    if (!fs.existsSync(this.directory)) return [];
+    return fs.readdirSync(this.directory)
+      .map(file => file.match(SEGMENT_PATTERN))
+      .filter(Boolean)
+      .map(match => Number(match[1]))
+      .sort((a, b) => a - b);
+  }
+
+  segmentPath(segment) {
+    return path.join(this.directory, `wal_${String(segment).padStart(8, '0')}.ndjson`);
+  }
+
+  // Journal one record for a buffer key
+  append(bufferKey, record) {
+    try {
+      if (this.fd === null) {
+        this.fd = fs.openSync(this.segmentPath(this.segment), 'a');
+      }
+      fs.writeSync(this.fd, JSON.stringify({ k: bufferKey, r: record }) + '\n');
+      this.dirty = true;
+    } catch (error) {
+      this.app && this.app.debug('Error writing to write-ahead log:', error.message);
+    }
+  }
+
+  sync() {
+    if (this.fd !== null && this.dirty) {
+      try {
+        fs.fsyncSync(this.fd);
+        this.dirty = false;
+      } catch (error) {
+        this.app && this.app.debug('Error syncing write-ahead log:', error.message);
+      }
+    }
+  }
+
+  // Close the current segment so new records go to the next one. Returns the
+  // closed segment number, to commit once the records it holds have been written.
+  rotate() {
+    const closed = this.segment;
+    if (this.fd !== null) {
+      this.sync();
+      fs.closeSync(this.fd);
+      this.fd = null;
+    }
+    this.segment++;
+    return closed;
+  }
+
+  // Delete every segment up to and including the given one
+  commit(upToSegment) {
+    this.listSegments()
+      .filter(segment => segment <= upToSegment)
+      .forEach(segment => {
+        try {
+          fs.removeSync(this.segmentPath(segment));
+        } catch (error) {
+          this.app && this.app.debug(`Error removing write-ahead log segment ${segment}:`, error.message);
+        }
+      });
+  }
+
+  // Read the records of the given segments, grouped by buffer key. A line cut
+  // short by a crash is skipped.
+  readSegments(segments) {
+    const recordsByKey = new Map();
+    let skipped = 0;
+
+    segments.forEach(segment => {
+      let content;
+      try {
+        content = fs.readFileSync(this.segmentPath(segment), 'utf8');
+      } catch (error) {
+        return;
+      }
+
+      content.split('\n').forEach(line => {
+        if (!line.trim()) return;
+        try {
+          const entry = JSON.parse(line);
+          if (!recordsByKey.has(entry.k)) {
+            recordsByKey.set(entry.k, []);
+          }
+          recordsByKey.get(entry.k).push(entry.r);
+        } catch (error) {
+          skipped++;
+        }
+      });
+    });
+
+    if (skipped > 0) {
+      this.app && this.app.debug(`⚠️ Skipped ${skipped} unreadable write-ahead log lines`);
+    }
+    return recordsByKey;
+  }
+
+  close() {
+    if (this.syncInterval) {
+      clearInterval(this.syncInterval);
+      this.syncInterval = null;
+    }
+    if (this.fd !== null) {
+      this.sync();
+      fs.closeSync(this.fd);
+      this.fd = null;
+    }
+  }
+}
+
+module.exports = WriteAheadLog;